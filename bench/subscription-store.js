@@ -0,0 +1,131 @@
+import { pathToFileURL } from 'url';
+import { Sequelize, DataTypes } from 'sequelize';
+import SequelizeChangeTracker, { MemorySubscriptionStore } from '../index.js';
+
+// the registry as it was before it was indexed: arrays that are scanned for every lookup
+
+export class LinearSubscriptionStore {
+
+    subscriptionsByResource = {};
+    subscriptionsById = {};
+
+    registerModel( modelName ) {
+        this.subscriptionsByResource[ modelName ] ??= { generic: [] };
+    }
+
+    add({ subscriptionId, modelName, instanceId, generic, ...properties }) {
+        this.subscriptionsById[ subscriptionId ] ??= [];
+        this.subscriptionsById[ subscriptionId ].push( generic === true ? { modelName, generic: true, ...properties } : { modelName, instanceId, ...properties });
+        this.subscriptionsByResource[ modelName ][ generic === true ? 'generic' : instanceId ] ??= [];
+        this.subscriptionsByResource[ modelName ][ generic === true ? 'generic' : instanceId ].push( subscriptionId );
+    }
+
+    #indices({ subscriptionId, modelName, instanceId, generic }) {
+        return {
+            sbiIndex: this.findById( subscriptionId ).findIndex( subObj => subObj.modelName === modelName && ( generic === true || instanceId === undefined ? subObj.generic === true : subObj.instanceId === instanceId )),
+            sbrIndex: this.findByResource( modelName, generic === true ? undefined : instanceId ).findIndex( id => id === subscriptionId ),
+        };
+    }
+
+    remove( subscription ) {
+        const { sbiIndex, sbrIndex } = this.#indices( subscription );
+        if ( sbiIndex === -1 || sbrIndex === -1 ) {
+            return false;
+        }
+        this.subscriptionsById[ subscription.subscriptionId ].splice( sbiIndex, 1 );
+        this.subscriptionsByResource[ subscription.modelName ][ subscription.generic === true || subscription.instanceId === undefined ? 'generic' : subscription.instanceId ].splice( sbrIndex, 1 );
+        return true;
+    }
+
+    find( subscription ) {
+        const { sbiIndex } = this.#indices( subscription );
+        return sbiIndex === -1 ? undefined : this.subscriptionsById[ subscription.subscriptionId ][ sbiIndex ];
+    }
+
+    findByResource( modelName, instanceId ) {
+        return [ ...( this.subscriptionsByResource[ modelName ]?.[ instanceId === undefined ? 'generic' : instanceId ] || [] ) ];
+    }
+
+    findById( subscriptionId ) {
+        return [ ...( this.subscriptionsById[ subscriptionId ] || [] ) ];
+    }
+
+    setExpiry( subscription, expiresAt ) {
+        const { sbiIndex } = this.#indices( subscription );
+        if ( sbiIndex === -1 ) {
+            return false;
+        }
+        this.subscriptionsById[ subscription.subscriptionId ][ sbiIndex ] = { ...this.subscriptionsById[ subscription.subscriptionId ][ sbiIndex ], expiresAt };
+        return true;
+    }
+
+    allSubscriptionIds() {
+        return Object.keys( this.subscriptionsById );
+    }
+
+    hasInstanceSubscriptions( modelName ) {
+        return Object.keys( this.subscriptionsByResource[ modelName ] || {} ).length > 1;
+    }
+
+    prune() {}
+
+    clear() {
+        this.subscriptionsById = {};
+        this.subscriptionsByResource = {};
+    }
+}
+
+// a burst of connections subscribing to many instances, some changes, and the connections leaving
+
+export const run = async ( Item, store, { connections, instancesPerConnection }) => {
+
+    const tracker = new SequelizeChangeTracker({ models: [ Item ], store, sweepInterval: 0 });
+
+    const delivered = [];
+    tracker.on( 'data-changed', ({ subscriptionIds }) => delivered.push( subscriptionIds ) );
+
+    const start = process.hrtime.bigint();
+
+    for ( let connection = 0; connection < connections; connection++ ) {
+        tracker.addSubscription({ modelName: 'Item', subscriptionId: connection });
+        for ( let instance = 0; instance < instancesPerConnection; instance++ ) {
+            tracker.addSubscription({ modelName: 'Item', subscriptionId: connection, instanceId: `item-${instance}` });
+        }
+    }
+
+    for ( let instance = 0; instance < 100; instance++ ) {
+        await tracker.notifySubscribers({ modelName: 'Item', operation: 'update', changedFields: [ 'value' ], instanceData: { id: `item-${instance}` } });
+    }
+
+    for ( let connection = 0; connection < connections; connection++ ) {
+        tracker.removeSubscriptionAllModels( connection );
+    }
+
+    const milliseconds = Number( process.hrtime.bigint() - start ) / 1e6;
+
+    tracker.destroy();
+
+    return { milliseconds, delivered };
+};
+
+// npm run bench: compare the indexed registry with the linear one
+
+if ( import.meta.url === pathToFileURL( process.argv[ 1 ] ).href ) {
+
+    const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+    const Item = sequelize.define( 'Item', {
+        id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 },
+        value: { type: DataTypes.STRING }
+    });
+
+    for ( let scenario of [ { connections: 10, instancesPerConnection: 500 }, { connections: 10, instancesPerConnection: 5000 } ] ) {
+
+        const linear = await run( Item, new LinearSubscriptionStore(), scenario );
+        const indexed = await run( Item, new MemorySubscriptionStore(), scenario );
+
+        console.log( `${scenario.connections} connections x ${scenario.instancesPerConnection} instances: linear ${linear.milliseconds.toFixed( 1 )} ms, indexed ${indexed.milliseconds.toFixed( 1 )} ms` );
+    }
+
+    await sequelize.close();
+}
@@ -0,0 +1,277 @@
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * The id of a subscription
+ * @typedef {String} SubscriptionId
+ */
+
+/**
+ * How long entries are kept in the change log, entries are removed as soon
+ * as they exceed one of the limits
+ * @typedef {Object} RetentionPolicy
+ * @property {Number} [maxAge] - milliseconds an entry is kept
+ * @property {Number} [maxRows] - number of (most recent) entries that are kept
+ */
+
+
+/**
+ * @class
+ * Outbox of a SequelizeChangeTracker: every change the tracker handles is written
+ * to a table, under a monotonic sequence number, so clients that missed events
+ * can replay them from the last sequence number they received.
+ *
+ * The table is managed by a model on the given Sequelize instance, so it is created
+ * by sequelize.sync(), or by sync() of the change log itself. Changes are stored as
+ * JSON, so replayed dates are strings.
+ *
+ * A change is logged by the process it was made in, with the subscription ids it was
+ * sent to there. Processes that deliver a relayed change to their own subscribers add
+ * those as recipients, in a second table, so every process can replay changes by
+ * subscription id.
+ */
+
+export class ChangeLog {
+
+    /**
+     * @constructor
+     * @param {Object} config
+     * @param {Sequelize} config.sequelize - connection of the database to write the log to
+     * @param {String} [config.modelName="ChangeLogEntry"] - name of the model (and table) of the log, the recipients get the model
+     * (and table) with "Recipient" appended
+     * @param {RetentionPolicy} [config.retention] - keep everything if left out
+     * @param {Number} [config.pageSize=100] - number of entries read at once when replaying
+     */
+
+    constructor({ sequelize, modelName = 'ChangeLogEntry', retention = {}, pageSize = 100 }) {
+
+        this.retention = retention;
+        this.pageSize = pageSize;
+
+        this.model = sequelize.define( modelName, {
+            sequence: { primaryKey: true, autoIncrement: true, type: DataTypes.INTEGER },
+            modelName: { allowNull: false, type: DataTypes.STRING },
+            operation: { allowNull: false, type: DataTypes.STRING },
+            change: { allowNull: false, type: DataTypes.JSON },
+        }, {
+            timestamps: true,
+            updatedAt: false,
+        });
+
+        // subscription ids are stored as JSON, so numbers and strings stay apart
+
+        this.recipientModel = sequelize.define( `${modelName}Recipient`, {
+            sequence: { allowNull: false, type: DataTypes.INTEGER },
+            subscriptionId: { allowNull: false, type: DataTypes.STRING },
+            via: { type: DataTypes.JSON },
+        }, {
+            timestamps: false,
+            indexes: [ { fields: [ 'subscriptionId', 'sequence' ] } ],
+        });
+    }
+
+
+    /**
+     * The model of the log entries
+     * @type {Sequelize.Model}
+     */
+
+    model = null;
+
+
+    /**
+     * The model of the recipients of relayed changes
+     * @type {Sequelize.Model}
+     */
+
+    recipientModel = null;
+
+
+    /** @type {RetentionPolicy} */
+
+    retention = {};
+
+
+    /**
+     * Create the tables of the log if they don't exist
+     * @method
+     * @param {Object} [options] - options for Model.sync
+     * @returns {Promise}
+     */
+
+    async sync( options ) {
+        await this.model.sync( options );
+        await this.recipientModel.sync( options );
+    }
+
+
+    /**
+     * Write a change to the log
+     * @method
+     * @param {Object} change - payload of a 'data-changed' event
+     * @returns {Promise<Number>} the sequence number of the change
+     */
+
+    async append( change ) {
+
+        // notifications are sent after the transaction of the change has been committed,
+        // make sure the entry isn't written as part of it (a CLS transaction would be picked up)
+
+        const entry = await this.model.create({
+            modelName: change.model,
+            operation: change.operation,
+            change,
+        }, {
+            transaction: null,
+            hooks: false,
+            logging: false,
+        });
+
+        return entry.sequence;
+    }
+
+
+    /**
+     * Add the subscription ids a logged change was sent to by another process
+     * than the one that logged it
+     * @method
+     * @param {Number} sequence - sequence number of the change
+     * @param {Array<SubscriptionId>} subscriptionIds
+     * @param {Object<SubscriptionId,Array<Object>>} [vias] - relation paths of the subscription ids that got the change through an ancestor
+     * @returns {Promise}
+     */
+
+    async addRecipients( sequence, subscriptionIds, vias = {} ) {
+
+        if ( subscriptionIds.length === 0 ) {
+            return;
+        }
+
+        await this.recipientModel.bulkCreate( subscriptionIds.map( subscriptionId => ({
+            sequence,
+            subscriptionId: JSON.stringify( subscriptionId ),
+            via: vias[ subscriptionId ] ?? null,
+        })), {
+            transaction: null,
+            hooks: false,
+            logging: false,
+        });
+    }
+
+
+    /**
+     * Read the changes after a sequence number, in order
+     * @method
+     * @param {Object} [cursor]
+     * @param {Number} [cursor.since=0] - sequence number of the last change received
+     * @param {SubscriptionId} [cursor.subscriptionId] - only read the changes that were sent to this subscription id
+     * @yields {Object} payload of a 'data-changed' event, with its sequence number. Changes read for a subscription id
+     * that another process delivered include it in their subscription ids (and relation paths)
+     */
+
+    async *read({ since = 0, subscriptionId } = {} ) {
+
+        let last = since;
+
+        while ( true ) {
+
+            const entries = await this.model.findAll({
+                where: { sequence: { [ Op.gt ]: last } },
+                order: [ [ 'sequence', 'ASC' ] ],
+                limit: this.pageSize,
+                transaction: null,
+                logging: false,
+            });
+
+            // the recipients of relayed changes, by sequence number
+
+            const relayedVias = subscriptionId === undefined || entries.length === 0 ? new Map() : new Map(
+                ( await this.recipientModel.findAll({
+                    where: {
+                        subscriptionId: JSON.stringify( subscriptionId ),
+                        sequence: { [ Op.gt ]: last, [ Op.lte ]: entries[ entries.length - 1 ].sequence },
+                    },
+                    transaction: null,
+                    logging: false,
+                }))
+                    .map( recipient => [ recipient.sequence, typeof recipient.via === 'string' ? JSON.parse( recipient.via ) : recipient.via ] )
+            );
+
+            for ( let entry of entries ) {
+
+                // dialects without a JSON type return the serialized change
+
+                const change = typeof entry.change === 'string' ? JSON.parse( entry.change ) : entry.change;
+
+                if ( subscriptionId === undefined || change.subscriptionIds.includes( subscriptionId )) {
+                    yield { ...change, sequence: entry.sequence };
+                }
+                else if ( relayedVias.has( entry.sequence )) {
+
+                    const via = relayedVias.get( entry.sequence );
+
+                    yield {
+                        ...change,
+                        ...( via ? { vias: { ...change.vias, [ subscriptionId ]: via } } : {} ),
+                        subscriptionIds: [ ...change.subscriptionIds, subscriptionId ],
+                        sequence: entry.sequence,
+                    };
+                }
+            }
+
+            if ( entries.length < this.pageSize ) {
+                return;
+            }
+
+            last = entries[ entries.length - 1 ].sequence;
+        }
+    }
+
+
+    /**
+     * Remove the entries that exceed the retention policy
+     * @method
+     * @returns {Promise<Number>} the number of removed entries
+     */
+
+    async prune() {
+
+        const conditions = [];
+
+        if ( this.retention.maxAge !== undefined ) {
+            conditions.push({ createdAt: { [ Op.lt ]: new Date( Date.now() - this.retention.maxAge ) } });
+        }
+
+        if ( this.retention.maxRows !== undefined ) {
+
+            const latest = await this.model.max( 'sequence', { transaction: null, logging: false });
+
+            if ( latest !== null ) {
+                conditions.push({ sequence: { [ Op.lte ]: latest - this.retention.maxRows } });
+            }
+        }
+
+        if ( conditions.length === 0 ) {
+            return 0;
+        }
+
+        const removed = await this.model.destroy({
+            where: { [ Op.or ]: conditions },
+            transaction: null,
+            hooks: false,
+            logging: false,
+        });
+
+        // the recipients go along with their changes
+
+        const oldest = await this.model.min( 'sequence', { transaction: null, logging: false });
+
+        await this.recipientModel.destroy({
+            where: oldest === null ? {} : { sequence: { [ Op.lt ]: oldest } },
+            transaction: null,
+            hooks: false,
+            logging: false,
+        });
+
+        return removed;
+    }
+}
@@ -1,5 +1,9 @@
-import { BelongsTo, HasOne, HasMany, BelongsToMany, Sequelize, Model } from 'sequelize';
+import { BelongsTo, HasOne, HasMany, BelongsToMany, Sequelize, Model, Op, QueryTypes } from 'sequelize';
 import { EventEmitter } from 'node:events';
+import { MemorySubscriptionStore } from './subscription-store.js';
+import { LiveQuery } from './live-query.js';
+import { SubscriptionHandle } from './subscription-handle.js';
+import { randomUUID } from 'node:crypto';
 
 /**
  * The name of a Sequelize model
@@ -12,7 +16,8 @@ import { EventEmitter } from 'node:events';
  */
 
 /**
- * The id of an instance (Sequelize representation of a database table row)
+ * The id of an instance (Sequelize representation of a database table row), the value
+ * of its primary key or, for composite primary keys, a JSON array of the key values
  * @typedef {String} InstanceId
  */
 
@@ -23,17 +28,24 @@ import { EventEmitter } from 'node:events';
 
 /**
  * Model event about the entire table
- * @typedef {"create"|"delete"} GenericModelOperation
+ * @typedef {"create"|"delete"|"update"|"associate"|"dissociate"|"restore"} GenericModelOperation
  */
 
 /**
  * Model event about a specific instance
- * @typedef {"update"|"delete"} SpecificModelOperation
+ * @typedef {"update"|"delete"|"restore"} SpecificModelOperation
  */
 
 /**
- * ModelOperation
- * @typedef {"create"|"update"|"delete"}
+ * ModelOperation, join table rows of many-to-many associations
+ * are created and deleted as "associate" and "dissociate", soft deleted
+ * rows of paranoid models that are brought back are "restore"d
+ * @typedef {"create"|"update"|"delete"|"associate"|"dissociate"|"restore"} ModelOperation
+ */
+
+/**
+ * A write as seen by the database, see TriggerCapture
+ * @typedef {"insert"|"update"|"delete"} CapturedOperation
  */
 
 /**
@@ -47,6 +59,9 @@ import { EventEmitter } from 'node:events';
  * @property {ModelName} modelName
  * @property {True} generic
  * @property {SubscriptionId} subscriptionId
+ * @property {Array<FieldName>} [fields] - only notify about updates of these fields
+ * @property {SubscriptionWhere} [where] - only notify about instances matching this filter
+ * @property {Number} [ttl] - milliseconds the subscription lives without being touched
  */
 
 /** 
@@ -55,6 +70,16 @@ import { EventEmitter } from 'node:events';
  * @property {ModelName} modelName
  * @property {InstanceId} instanceId
  * @property {SubscriptionId} subscriptionId
+ * @property {Array<FieldName>} [fields] - only notify about updates of these fields
+ * @property {SubscriptionWhere} [where] - only notify about instances matching this filter
+ * @property {Number} [cascadeDepth] - number of association hops changes of depending models travel to reach this subscription
+ * @property {Number} [ttl] - milliseconds the subscription lives without being touched
+ */
+
+/**
+ * Filter on the (new) values of an instance. Either a predicate function or an
+ * object of field values, where an array value matches any of its elements
+ * @typedef {Function|Object<FieldName,any>} SubscriptionWhere
  */
 
 /**
@@ -63,8 +88,60 @@ import { EventEmitter } from 'node:events';
  */
 
 /**
- * List of Sequelize models
- * @typedef {Array<Sequelize.Model>} ModelList
+ * How a model is tracked
+ * @typedef {Object} ModelConfig
+ * @property {Sequelize.Model} model
+ * @property {Array<ModelOperation>} [operations] - operations that are reported, all if left out
+ * @property {Array<FieldName>} [ignoreFields] - updates that only change these fields (and updatedAt) are not reported
+ * @property {Array<ModelName|Sequelize.Model>|Boolean} [cascade=true] - models its changes travel up to, all associated models if true, none if false
+ * @property {Array<GenericModelOperation>|Boolean} [generic=true] - operations reported to generic subscriptions, all if true, none if false
+ */
+
+/**
+ * List of Sequelize models, or configurations of how they are tracked
+ * @typedef {Array<Sequelize.Model|ModelConfig>} ModelList
+ */
+
+/**
+ * One hop of the relation path along which a change reached a subscriber, from the
+ * changed instance up to the subscribed one: the ancestor, the association of the
+ * ancestor it was reached through and the foreign key of that association
+ * @typedef {Object} RelationHop
+ * @property {ModelName} model
+ * @property {InstanceId} instanceId
+ * @property {String} [association]
+ * @property {String} foreignKey
+ * @property {ModelName} [through] - join table of many-to-many associations
+ */
+
+/**
+ * When to emit a batch of changes
+ * @typedef {Object} BatchConfig
+ * @property {Number} [window=50] - milliseconds to collect changes after the first one
+ * @property {Number} [maxSize=Infinity] - number of changes that triggers an early emit
+ */
+
+/**
+ * What a subscriber knows about itself, passed to the access hooks
+ * @typedef {Object} SubscriptionContext
+ * @property {SubscriptionId} subscriptionId
+ * @property {any} context - as set with setSubscriptionContext or trackChanges.context, e.g. the user
+ */
+
+/**
+ * Access hooks of a model. authorize decides whether a subscriber may see a change of
+ * an instance, project returns the part of the instance data the subscriber may see.
+ * Both may return a promise
+ * @typedef {Object} ModelAccess
+ * @property {function(SubscriptionContext, ModelName, Object<String,any>): Boolean} [authorize]
+ * @property {function(ModelName, Object<String,any>, SubscriptionContext): Object<String,any>} [project]
+ */
+
+/**
+ * How bulk operations (Model.update / Model.destroy with a where clause) are tracked.
+ * "capture" looks up the affected rows before the operation, "individual" forces
+ * Sequelize's individualHooks option, false disables tracking of bulk operations
+ * @typedef {"capture"|"individual"|false} BulkHooksMode
  */
 
 /**
@@ -79,29 +156,137 @@ class SequelizeChangeTracker extends EventEmitter {
     /**
      * @constructor
      * @param {Object} config 
-     * @param {ModelList} config.models - models to enable tracking on
+     * @param {ModelList} config.models - models to enable tracking on, optionally with how to track them
+     * @param {BulkHooksMode} [config.bulkHooks="capture"] - how to track bulk updates and deletes
+     * @param {Number} [config.cascadeDepth=1] - number of association hops a change travels up to reach depending subscriptions
+     * @param {Number} [config.foreignKeyCacheSize=10000] - maximum number of instances whose foreign keys are cached for cascading
+     * @param {MemorySubscriptionStore} [config.store] - where subscriptions are registered, in memory by default
+     * @param {Number} [config.defaultTtl] - milliseconds subscriptions live without being touched, forever if left out
+     * @param {Number} [config.sweepInterval=60000] - milliseconds between removals of expired subscriptions, 0 to sweep manually
+     * @param {BatchConfig|Boolean} [config.batch=false] - emit changes in batches ('data-changed-batch') instead of one by one
+     * @param {ChangeLog} [config.changeLog] - write every change to a table, so it can be replayed
+     * @param {Object<ModelName,ModelAccess>} [config.access] - per model, what subscribers may see. Changes of these models are emitted per subscriber
+     * @param {TriggerCapture} [config.capture] - also report the writes that database triggers capture, e.g. of other applications
      */
 
-    constructor({ models }) {
+    constructor({ models, bulkHooks = 'capture', cascadeDepth = 1, foreignKeyCacheSize = 10000, store = new MemorySubscriptionStore(), defaultTtl, sweepInterval = 60000, batch = false, changeLog = null, access = {}, capture = null }) {
 
         super();
 
         const changeTracker = this;
 
-        this.modelNames = models.map( m => m.name );
+        this.store = store;
+
+        this.defaultTtl = defaultTtl;
+
+        this.batch = batch ? { window: 50, maxSize: Infinity, ...batch } : null;
+
+        this.changeLog = changeLog;
+
+        this.access = access;
+
+        this.capture = capture;
+
+        this.capture?.attach( this );
+
+        if ( sweepInterval > 0 ) {
+            this.#sweepTimer = setInterval( () => this.sweep(), sweepInterval );
+            this.#sweepTimer.unref();
+        }
+
+        // changes made in other processes
+
+        this.store.onRelay?.( operationData => {
+            this.#notifyLocalSubscribers( operationData, { relayed: true }).catch( error => this.emit( 'error', error ));
+        });
+
+        this.bulkHooks = bulkHooks;
+
+        this.cascadeDepth = cascadeDepth;
+
+        this.#maxCascadeDepth = cascadeDepth;
+
+        this.foreignKeyCacheSize = foreignKeyCacheSize;
+
+        this.hookName = `yoctopus-${ ++SequelizeChangeTracker.#trackerCount }`;
+
+        // join tables of many-to-many associations are tracked as well,
+        // rows created or removed there (dis)associate the two endpoints
+
+        const modelConfigs = models.map( entry => typeof entry === 'function' ? { model: entry } : entry );
+
+        models = modelConfigs.map( modelConfig => modelConfig.model );
+
+        const throughModels = [ ...new Set( models.flatMap( m => Object.values( m.associations )
+            .filter( association => association instanceof BelongsToMany )
+            .map( association => association.through.model )
+        ))];
+
+        this.throughModelNames = throughModels.map( m => m.name );
+
+        const trackedModels = [ ...models, ...throughModels.filter( m => ! models.includes( m )) ];
+
+        this.modelNames = trackedModels.map( m => m.name );
+
+        this.modelsByName = Object.fromEntries( trackedModels.map( m => [ m.name, m ] ));
+
+        this.primaryKeys = Object.fromEntries( trackedModels.map( m => [ m.name, m.primaryKeyAttributes ] ));
+
+        this.modelConfigs = Object.fromEntries( trackedModels.map( m => {
+
+            const { operations = null, ignoreFields = [], cascade = true, generic = true } = modelConfigs.find( modelConfig => modelConfig.model === m ) || {};
+
+            return [ m.name, {
+                operations,
+                ignoreFields,
+                cascade: Array.isArray( cascade ) ? cascade.map( c => typeof c === 'string' ? c : c.name ) : cascade,
+                generic,
+            }];
+        }));
 
         this.dependingModelMap = this.modelNames.reduce( (dmm, model) => Object.assign( dmm, { [ model ]: [] } ), {} );
 
-        for ( let model of models ) {
+        for ( let model of trackedModels ) {
 
             const modelName = model.name;
 
+            const createOperation = this.throughModelNames.includes( modelName ) ? 'associate' : 'create';
+            const deleteOperation = this.throughModelNames.includes( modelName ) ? 'dissociate' : 'delete';
+
+            // paranoid models mark rows as deleted instead of removing them, unless forced
+
+            const deletedAtField = SequelizeChangeTracker.#timestampAttribute( model, 'deletedAt' );
+            const isParanoid = Boolean( deletedAtField );
+
             // build a model map so we can look up later on if "higher"
             // subscriptions should be taken into account on change
             // of a 'lower' model
 
             for ( let association of Object.values( model.associations ) ) {
-                if ( association instanceof BelongsTo || association instanceof BelongsToMany ) {
+                if ( association instanceof BelongsToMany ) {
+
+                    const { source, target, foreignKey, otherKey } = association;
+                    const through = association.through.model.name;
+
+                    // a join table row depends on both endpoints
+
+                    for ( let [ dependentModel, key ] of [ [ source.name, foreignKey ], [ target.name, otherKey ] ] ) {
+                        const dependingModelList = this.dependingModelMap[ through ];
+                        if ( undefined === dependingModelList.find( dm => dm.name === dependentModel && dm.foreignKey === key )) {
+                            dependingModelList.push( { name: dependentModel, foreignKey: key } );
+                        }
+                    }
+
+                    // and the endpoints depend on each other through the join table
+
+                    for ( let [ dependingModel, dependentModel, key, other ] of [ [ source.name, target.name, foreignKey, otherKey ], [ target.name, source.name, otherKey, foreignKey ] ] ) {
+                        const dependingModelList = this.dependingModelMap[ dependingModel ];
+                        if ( undefined === dependingModelList.find( dm => dm.name === dependentModel && dm.through === through && dm.foreignKey === key )) {
+                            dependingModelList.push( { name: dependentModel, through, foreignKey: key, otherKey: other } );
+                        }
+                    }
+                }
+                else if ( association instanceof BelongsTo ) {
                     const dependingModelList = this.dependingModelMap[ association.source.name ];
                     const dependentModel = association.target.name;
                     if ( undefined === dependingModelList.find( dm => dm.name === dependentModel )) {
@@ -120,48 +305,64 @@ class SequelizeChangeTracker extends EventEmitter {
 
             // create a basic entry in the "subscriptions by resource" register
 
-            this.subscriptionsByResource[ modelName ] = { generic: [] };
+            this.store.registerModel( modelName );
+
+            this.liveQueries[ modelName ] = [];
 
 
             // add hooks for each operation
             // https://github.com/sequelize/sequelize/blob/main/src/hooks.js
             
-            model.addHook(
+            changeTracker.#addHook(
+                model,
+                'beforeFind',
+                function( options ) {
+
+                    // Sequelize maps the where clause to column names before the find, live queries
+                    // evaluate it on the data values of instances, which are keyed by attribute
+
+                    if ( options.trackChanges?.live ) {
+                        changeTracker.#liveQueryWheres.set( options, options.where );
+                    }
+                }
+            );
+
+            changeTracker.#addHook(
+                model,
                 'afterFind',
-                'yoctopus',
                 function( instance, options ) {
                     changeTracker.#addSubscriptionIfRequested( modelName, instance, options );
                 }
             );
 
-            model.addHook(
+            changeTracker.#addHook(
+                model,
                 'afterCreate',
-                'yoctopus',
-                function( instance, options ) {
+                async function( instance, options ) {
 
                     changeTracker.#addSubscriptionIfRequested( modelName, instance, options );
 
-                    changeTracker.notifySubscribers({ 
+                    await changeTracker.#queueNotification( model, options, { 
                         modelName, 
-                        operation: 'create', 
+                        operation: createOperation, 
                         changedFields: options.fields,
                         instanceData: instance.dataValues
                     });
                 }
             );
 
-            model.addHook(
+            changeTracker.#addHook(
+                model,
                 'afterBulkCreate',
-                'yoctopus',
-                function( instances, options ) {
+                async function( instances, options ) {
                     //console.log( 'after bulk create', options, instances );
                     for ( let instance of instances ) {
 
                         changeTracker.#addSubscriptionIfRequested( modelName, instance, options );
 
-                        changeTracker.notifySubscribers({ 
+                        await changeTracker.#queueNotification( model, options, { 
                             modelName, 
-                            operation: 'create', 
+                            operation: createOperation, 
                             changedFields: options.fields,
                             instanceData: instance.dataValues
                         });                
@@ -169,319 +370,2754 @@ class SequelizeChangeTracker extends EventEmitter {
                 }
             );
 
-            model.addHook(
+            changeTracker.#addHook(
+                model,
                 'afterUpdate',
-                'yoctopus',
-                function( instance, options ) {
+                async function( instance, options ) {
 
                     changeTracker.#addSubscriptionIfRequested( modelName, instance, options );
 
-                    changeTracker.notifySubscribers({ 
+                    await changeTracker.#queueNotification( model, options, { 
                         modelName, 
                         operation: 'update', 
                         changedFields: options.fields, 
                         instanceData: instance.dataValues,
+                        previousData: instance._previousDataValues,
                     });
                 }
             );
 
-            model.addHook(
-                'afterBulkUpdate',
-                'yoctopus',
-                function( options ) {
-                    //console.log( 'after bulk update', options )
-                    //changeTracker.notifySubscribers( modelName, 'update', options );
+            changeTracker.#addHook(
+                model,
+                'beforeBulkUpdate',
+                async function( options ) {
+                    await changeTracker.#captureBulkTargets( model, options );
                 }
             );
 
-            model.addHook(
-                'afterDestroy',
-                'yoctopus',
-                function( instance, options ) {
-                    //console.log( 'after destroy', instance, options )
-                    changeTracker.notifySubscribers({ 
-                        modelName, 
-                        operation: 'delete', 
-                        changedFields: options.fields, 
-                        instanceData: instance.dataValues,
-                    });                        }
+            changeTracker.#addHook(
+                model,
+                'afterBulkUpdate',
+                async function( options ) {
+
+                    const targets = changeTracker.#releaseBulkTargets( options );
+
+                    if ( targets.length === 0 ) {
+                        return;
+                    }
+
+                    // re-read the rows by primary key, the where clause
+                    // might not match them anymore after the update
+
+                    const instances = await changeTracker.#findByKeys( model, targets.map( t => t.where() ), {
+                        transaction: options.transaction,
+                        logging: options.logging,
+                        paranoid: false,
+                    });
+
+                    const previousByKey = new Map( targets.map( t => [ JSON.stringify( t.where() ), t.dataValues ] ));
+
+                    for ( let instance of instances ) {
+                        await changeTracker.#queueNotification( model, options, { 
+                            modelName, 
+                            operation: 'update', 
+                            changedFields: options.fields, 
+                            instanceData: instance.dataValues,
+                            previousData: previousByKey.get( JSON.stringify( instance.where() )),
+                        });
+                    }
+                }
             );
 
-            model.addHook(
-                'afterBulkDestroy',
-                'yoctopus',
-                function( options ) {
-                    //console.log( 'after bulk destroy', options )
-                    //changeTracker.notifySubscribers( modelName, 'delete', options );
+            changeTracker.#addHook(
+                model,
+                'beforeUpsert',
+                async function( values, options ) {
+
+                    // upserts don't tell on every dialect whether they inserted or updated,
+                    // on those look for the row that will be updated first
+
+                    const where = changeTracker.#upsertWhere( model, values, options );
+                    const reportsCreated = SequelizeChangeTracker.#upsertCreatedDialects.includes( model.sequelize.getDialect() );
+                    const previous = where && ! reportsCreated ? await model.findOne({ where, transaction: options.transaction, logging: options.logging, paranoid: false }) : null;
+
+                    changeTracker.#upsertTargets.set( options, { where, previous });
                 }
             );
-        }
-    }
 
+            changeTracker.#addHook(
+                model,
+                'afterUpsert',
+                async function( [ record, created ], options ) {
 
-    /** @type {Array<GenericModelOperation>} */
+                    const { where, previous } = changeTracker.#upsertTargets.get( options ) || {};
 
-    static genericOperations = [ 'create', 'delete', 'update' ];
+                    changeTracker.#upsertTargets.delete( options );
 
+                    // unless the dialect returned the row, the record is built from the values,
+                    // which might lack the key and the other columns of the row
 
-    /** @type {Array<SpecificModelOperation>} */
+                    const isReturned = options.returning && model.sequelize.dialect.supports.returnValues;
+                    const instance = ( where && ! isReturned && await model.findOne({ where, transaction: options.transaction, logging: options.logging, paranoid: false })) || record;
 
-    static specificOperations = [ 'update', 'delete' ];
+                    changeTracker.#addSubscriptionIfRequested( modelName, instance, options );
 
+                    const isCreate = created ?? ! previous;
 
-    /** @type {Array<ModelName>} */
+                    await changeTracker.#queueNotification( model, options, { 
+                        modelName, 
+                        operation: isCreate ? createOperation : 'update', 
+                        changedFields: options.fields, 
+                        instanceData: instance.dataValues,
+                        previousData: isCreate ? undefined : previous?.dataValues,
+                    });
+                }
+            );
 
-    modelNames = [];
+            changeTracker.#addHook(
+                model,
+                'afterDestroy',
+                async function( instance, options ) {
+                    //console.log( 'after destroy', instance, options )
+                    await changeTracker.#queueNotification( model, options, { 
+                        modelName, 
+                        operation: deleteOperation, 
+                        changedFields: options.fields, 
+                        instanceData: instance.dataValues,
+                        previousData: instance.dataValues,
+                        soft: isParanoid && ! options.force,
+                    });
+                }
+            );
 
+            changeTracker.#addHook(
+                model,
+                'beforeBulkDestroy',
+                async function( options ) {
+                    await changeTracker.#captureBulkTargets( model, options );
+                }
+            );
 
-    /**
-     * Map (object actually) of models (object value) that depend on the first model (object key) 
-     * @type {Object<ModelName,Array<ModelName>>} 
-     */
+            changeTracker.#addHook(
+                model,
+                'afterBulkDestroy',
+                async function( options ) {
+                    for ( let instance of changeTracker.#releaseBulkTargets( options ) ) {
+                        await changeTracker.#queueNotification( model, options, { 
+                            modelName, 
+                            operation: deleteOperation, 
+                            changedFields: options.fields, 
+                            instanceData: instance.dataValues,
+                            previousData: instance.dataValues,
+                            soft: isParanoid && ! options.force,
+                        });
+                    }
+                }
+            );
 
-    dependingModelMap = {};
+            if ( ! isParanoid ) {
+                continue;
+            }
 
+            changeTracker.#addHook(
+                model,
+                'beforeRestore',
+                async function( instance ) {
+                    changeTracker.#restoredRows.set( instance, { ...instance.dataValues });
+                }
+            );
 
-    /**
-     * One of two ways in which the class registers subscriptions. 
-     * This register is indexed by ModelName+InstanceId, or ModelName+"generic"
-     * if the subscription is for generic events
-     * @type {Object<ModelName,<InstanceId|"generic",Array<SubscriptionId>>}
-     */
+            changeTracker.#addHook(
+                model,
+                'afterRestore',
+                async function( instance, options ) {
 
-    subscriptionsByResource = {};
+                    // Model.restore with individual hooks passes the instances as they were
+                    // before the restore, so deletedAt is reset here
 
+                    const previousData = changeTracker.#restoredRows.get( instance );
 
-    /**
-     * One of two ways in which the class registers subscriptions.
-     * This register is indexed by SubscriptionId
-     * @type {Object<SubscriptionId,Array<GenericSubscriptionObject|SpecificSubscriptionObject>}
-     */
+                    changeTracker.#restoredRows.delete( instance );
 
-    subscriptionsById = {};
+                    await changeTracker.#queueNotification( model, options, { 
+                        modelName, 
+                        operation: 'restore', 
+                        changedFields: [ deletedAtField ], 
+                        instanceData: { ...instance.dataValues, [ deletedAtField ]: model.rawAttributes[ deletedAtField ].defaultValue ?? null },
+                        previousData,
+                    });
+                }
+            );
 
+            changeTracker.#addHook(
+                model,
+                'beforeBulkRestore',
+                async function( options ) {
+                    // the rows to restore are soft deleted, so they have to be looked up including those
+                    await changeTracker.#captureBulkTargets( model, options, { paranoid: false });
+                }
+            );
 
-    /**
-     * Check the options object provided with a sequelize model method to check whether
-     * a subscription should be added
-     * @private
-     * @method
-     * @param {ModelName} modelName
-     * @param {Sequelize.Instance} instance
-     * @param {Object} options
-     */
+            changeTracker.#addHook(
+                model,
+                'afterBulkRestore',
+                async function( options ) {
 
-    #addSubscriptionIfRequested( modelName, instance, options ) {
+                    const targets = changeTracker.#releaseBulkTargets( options );
 
-        // instance argument can contain one data object, or an array of objects
+                    if ( targets.length === 0 ) {
+                        return;
+                    }
 
-        if ( ! instance ) {
-            //console.debug( 'No instance found' );
-            return;
-        }
+                    const instances = await changeTracker.#findByKeys( model, targets.map( t => t.where() ), {
+                        transaction: options.transaction,
+                        logging: options.logging,
+                    });
 
-        if ( ! options.trackChanges ) {
-            //console.debug( 'No tracking requested' );
-            return;
-        }
+                    const previousByKey = new Map( targets.map( t => [ JSON.stringify( t.where() ), t.dataValues ] ));
 
-        if ( ! options.trackChanges?.subscriptionId ) {
-            throw new Error( 'Missing subscription id' );
+                    for ( let instance of instances ) {
+                        await changeTracker.#queueNotification( model, options, { 
+                            modelName, 
+                            operation: 'restore', 
+                            changedFields: [ deletedAtField ], 
+                            instanceData: instance.dataValues,
+                            previousData: previousByKey.get( JSON.stringify( instance.where() )),
+                        });
+                    }
+                }
+            );
         }
 
-        //console.log( 'Change tracking requested' );
+        // Model.increment and Model.decrement (also used by the instance methods)
+        // run no model hooks, their queries are recognized by their options
 
-        const subscriptionId = options.trackChanges.subscriptionId;
+        for ( let sequelize of new Set( trackedModels.map( m => m.sequelize ))) {
 
-        const iterableInstances = Array.isArray( instance ) ? instance : [ instance ];
+            changeTracker.#addHook(
+                sequelize,
+                'beforeQuery',
+                async function( options ) {
+                    if ( changeTracker.#isIncrementQuery( options ) && ( options.instance || changeTracker.bulkHooks !== false )) {
 
-        for ( let inst of iterableInstances ) {
-            this.addSubscription({ modelName: inst.constructor.name, instanceId: inst.id, subscriptionId });
-        }
-    }
+                        // the where clause of the query has been mapped to column names
 
+                        const where = Object.fromEntries( Reflect.ownKeys( options.where ).map( key => [ 
+                            typeof key === 'string' ? SequelizeChangeTracker.#attributeName( options.model, key ) : key, 
+                            options.where[ key ],
+                        ]));
 
-    /**
-     * For some model event (operation) find the relevant subscription ids
-     * and emit a 'data-changed' event
-     * @method
-     * @public
-     * @param {Object} operationData
-     * @param {ModelName} operationData.modelName
-     * @param {ModelOperation} operationData.operation
-     * @param {Array<FieldName>} operationData.changedFields
-     * @param {Object<String,any>} operationData.instanceData
-     */
+                        changeTracker.#bulkTargets.set( options, await options.model.findAll({
+                            where,
+                            transaction: options.transaction,
+                            logging: options.logging,
+                            paranoid: false,
+                        }));
+                    }
+                }
+            );
 
-    notifySubscribers({ modelName, operation, changedFields, instanceData }) {
+            changeTracker.#addHook(
+                sequelize,
+                'afterQuery',
+                async function( options ) {
 
-        // we want the values, not the object
-        
-        const genericSubIds = SequelizeChangeTracker.genericOperations.includes( operation )
-            ? [ ...this.subscriptionsByResource[ modelName ].generic ] 
-            : [];
+                    const targets = changeTracker.#releaseBulkTargets( options );
 
-        const specificSubIds = SequelizeChangeTracker.specificOperations.includes( operation )
-            ? [ ...( this.subscriptionsByResource[ modelName ][ instanceData.id ] || [] ) ] 
-            : [];
+                    if ( targets.length === 0 ) {
+                        return;
+                    }
 
-        // filter out duplicates
-        // they are possible, because delete is a generic and specific event
-        
-        const subscriptionIds = [ ...new Set( [ ...genericSubIds, ...specificSubIds ] ) ];
+                    const model = options.model;
 
-        //console.log( 'notif', modelName, operation, changedFields, instanceData, cascade );
+                    // this also runs when the query failed, in which case nothing changed
 
-        for ( let dependingModel of this.dependingModelMap[ modelName ] ) {
-            const foreignKey = dependingModel.foreignKey; //  `${dependingModel}Id`;                                   // TODO TODO TODO TODO
-            const dependingInstanceId = instanceData[ foreignKey ];
-            const dependingInstanceSubscriptions = this.subscriptionsByResource[ dependingModel.name ][ dependingInstanceId ];
-            if ( Array.isArray( dependingInstanceSubscriptions ) && dependingInstanceSubscriptions.length > 0 ) {
-                subscriptionIds.push( ...dependingInstanceSubscriptions );
-            }
-        }
+                    const instances = await changeTracker.#findByKeys( model, targets.map( t => t.where() ), {
+                        transaction: options.transaction,
+                        logging: options.logging,
+                        paranoid: false,
+                    });
 
-        if ( subscriptionIds.length > 0 ) {
+                    const previousByKey = new Map( targets.map( t => [ JSON.stringify( t.where() ), t.dataValues ] ));
 
-            this.emit(
-                'data-changed',
-                {
-                    operation,
-                    model: modelName,
-                    instance: instanceData,
-                    changedFields,
-                    subscriptionIds,
+                    for ( let instance of instances ) {
+
+                        const previousData = previousByKey.get( JSON.stringify( instance.where() ));
+                        const changedFields = Object.keys( SequelizeChangeTracker.#computeDiff( 'update', instance.dataValues, previousData ) || {} );
+
+                        if ( changedFields.length > 0 ) {
+                            await changeTracker.#queueNotification( model, options, { 
+                                modelName: model.name, 
+                                operation: 'update', 
+                                changedFields, 
+                                instanceData: instance.dataValues,
+                                previousData,
+                            });
+                        }
+                    }
                 }
             );
+        }
 
+        // only keep the associations the changes of a model may travel up
+
+        for ( let [ modelName, { cascade } ] of Object.entries( this.modelConfigs )) {
+            if ( cascade !== true ) {
+                this.dependingModelMap[ modelName ] = cascade === false ? [] : this.dependingModelMap[ modelName ].filter( dm => cascade.includes( dm.name ));
+            }
         }
     }
 
 
     /**
-     * Remove all subscriptions for a given subscription id
-     * @method
-     * @public
-     * @param {SubscriptionId} subscriptionId
+     * Number of trackers created, used to give each tracker its own hook name
+     * @private
+     * @type {Number}
      */
 
-    removeSubscriptionAllModels( subscriptionId ) {
-        while(this.subscriptionsById[subscriptionId].length > 0) {
-            const subObj = this.subscriptionsById[subscriptionId][0];
-            this.removeSubscription( { subscriptionId, ...subObj } );
-        }
-    }
+    static #trackerCount = 0;
 
 
     /**
-     * Find the indices in both registers of a certain subscription
-     * if it exists
-     * @method
-     * @public
-     * @param {GenericSubscriptionObject|SpecificSubscriptionObject} subscriptionObject
-     * @returns {Object<string,number>} indices (sbiIndex and sbrIndex are the indices in the register that is indexed by subscriptionId and resourceId respectively)
+     * Version of the format of exportState, checked by importState
+     * @private
+     * @type {Number}
      */
 
-    findSubscriptionIndices({ subscriptionId, modelName, instanceId, generic }) {
-
-        const sbiIndex = ( this.subscriptionsById[ subscriptionId ] || [] )
-            .findIndex( subObj => 
-                subObj.modelName === modelName && ( generic === true ? subObj.generic === true : subObj.instanceId === instanceId )
-            );
+    static #stateVersion = 1;
 
-        const modelProp = generic === true ? 'generic' : instanceId;
 
-        const sbrIndex = ( this.subscriptionsByResource[ modelName ][ modelProp ] || [] ).findIndex( id => id === subscriptionId );
+    /**
+     * Dialects whose upserts tell whether they inserted or updated the row,
+     * on the others the row is looked up before the upsert
+     * @private
+     * @type {Array<String>}
+     */
 
-        return { sbiIndex, sbrIndex };
-    }
+    static #upsertCreatedDialects = [ 'mysql', 'mariadb', 'mssql' ];
 
 
     /**
-     * Remove a specific subscription from the registers
-     * @method
-     * @public
-     * @param {GenericSubscriptionObject|SpecificSubscriptionObject} subscriptionObject
+     * Number of composite primary keys read back with one query
+     * @private
+     * @type {Number}
      */
 
-    removeSubscription = function({ subscriptionId, modelName, instanceId, generic }) {
+    static #keysPerLookup = 500;
 
-        const { sbiIndex, sbrIndex } = this.findSubscriptionIndices({ subscriptionId, modelName, instanceId, generic });
 
-        if ( sbiIndex === -1 || sbrIndex === -1 ) {
-            throw new Error( `Can't find subscription ${subscriptionId} on ${modelName} ${instanceId}` );
-        }
+    /** @type {Array<GenericModelOperation>} */
 
-        this.subscriptionsById[ subscriptionId ].splice( sbiIndex, 1 );
+    static genericOperations = [ 'create', 'delete', 'update', 'associate', 'dissociate', 'restore' ];
 
-        const modelProp = generic === true ? 'generic' : instanceId;
 
-        this.subscriptionsByResource[ modelName ][ modelProp ].splice( sbrIndex, 1 );
-    }
+    /** @type {Array<SpecificModelOperation>} */
 
+    static specificOperations = [ 'update', 'delete', 'restore' ];
 
-    /**
-     * Add a subscription to the registers
-     * @method
-     * @param {SpecificSubscriptionObject|GenericSubscriptionObject}
-     */
 
-    addSubscription = function({ modelName, subscriptionId, instanceId }) {
+    /** @type {Array<ModelName>} */
 
-        //console.debug( 'Add subscription on', modelName, instanceId === undefined ? 'generic' : instanceId, 'with id', subscriptionId );
+    modelNames = [];
 
-        if ( ! this.modelNames.includes( modelName )) {
+
+    /** @type {Object<ModelName,Sequelize.Model>} */
+
+    modelsByName = {};
+
+
+    /** 
+     * Primary key attributes per model
+     * @type {Object<ModelName,Array<FieldName>>} 
+     */
+
+    primaryKeys = {};
+
+
+    /**
+     * How each model is tracked, see ModelConfig
+     * @type {Object<ModelName,{operations: Array<ModelOperation>|null, ignoreFields: Array<FieldName>, cascade: Array<ModelName>|Boolean, generic: Array<GenericModelOperation>|Boolean}>}
+     */
+
+    modelConfigs = {};
+
+
+    /**
+     * Default number of association hops a change travels up the depending
+     * model map, can be overridden per subscription
+     * @type {Number}
+     */
+
+    cascadeDepth = 1;
+
+
+    /** @type {Number} */
+
+    foreignKeyCacheSize = 10000;
+
+
+    /** 
+     * Names of the join tables of many-to-many associations
+     * @type {Array<ModelName>} 
+     */
+
+    throughModelNames = [];
+
+
+    /**
+     * Map (object actually) of models (object value) that depend on the first model (object key).
+     * For many-to-many associations the entry names the "through" model, in which case
+     * foreignKey is the join table column pointing at the first model and otherKey the one
+     * pointing at the depending model
+     * @type {Object<ModelName,Array<{name: ModelName, foreignKey: FieldName, through?: ModelName, otherKey?: FieldName}>>} 
+     */
+
+    dependingModelMap = {};
+
+
+    /**
+     * Where the subscriptions are registered
+     * @type {MemorySubscriptionStore}
+     */
+
+    store = null;
+
+
+    /**
+     * One of two ways in which the class registers subscriptions. 
+     * This register is indexed by ModelName+InstanceId, or ModelName+"generic"
+     * if the subscription is for generic events
+     * @type {Object<ModelName,<InstanceId|"generic",Array<SubscriptionId>>}
+     */
+
+    get subscriptionsByResource() {
+        return this.store.subscriptionsByResource;
+    }
+
+
+    /**
+     * One of two ways in which the class registers subscriptions.
+     * This register is indexed by SubscriptionId
+     * @type {Object<SubscriptionId,Array<GenericSubscriptionObject|SpecificSubscriptionObject>}
+     */
+
+    get subscriptionsById() {
+        return this.store.subscriptionsById;
+    }
+
+
+    /**
+     * Live queries (result sets of finds with trackChanges.live) by model. They
+     * belong to the process that ran the find, so they are kept outside the store
+     * @type {Object<ModelName,Array<LiveQuery>>}
+     */
+
+    liveQueries = {};
+
+
+    /** @type {BulkHooksMode} */
+
+    bulkHooks = 'capture';
+
+
+    /**
+     * Name under which this tracker registers its Sequelize hooks
+     * @type {String}
+     */
+
+    hookName = null;
+
+
+    /**
+     * Set once the tracker has been destroyed
+     * @type {Boolean}
+     */
+
+    destroyed = false;
+
+
+    /**
+     * Hooks this tracker registered, so they can be removed on destroy
+     * @private
+     * @type {Array<{model: Sequelize.Model, hookType: String}>}
+     */
+
+    #registeredHooks = [];
+
+
+    /**
+     * Rows affected by a running bulk operation, indexed by the options
+     * object Sequelize passes to both the before and after hook
+     * @private
+     * @type {WeakMap<Object,Array<Sequelize.Instance>>}
+     */
+
+    #bulkTargets = new WeakMap();
+
+
+    /**
+     * Values of instances of paranoid models before they are restored
+     * @private
+     * @type {WeakMap<Sequelize.Instance,Object<String,any>>}
+     */
+
+    #restoredRows = new WeakMap();
+
+
+    /**
+     * Where clauses of running finds with trackChanges.live, by their options, as given (by attribute)
+     * @private
+     * @type {WeakMap<Object,Object>}
+     */
+
+    #liveQueryWheres = new WeakMap();
+
+
+    /**
+     * Where clause and previous row of running upserts, by their options
+     * @private
+     * @type {WeakMap<Object,{where: Object|null, previous: Sequelize.Instance|null}>}
+     */
+
+    #upsertTargets = new WeakMap();
+
+
+    /**
+     * Time to live (in milliseconds) of subscriptions that don't specify one
+     * @type {Number|undefined}
+     */
+
+    defaultTtl = undefined;
+
+
+    /**
+     * @private
+     * @type {NodeJS.Timeout|null}
+     */
+
+    #sweepTimer = null;
+
+
+    /**
+     * Batching configuration, null if changes are emitted one by one
+     * @type {BatchConfig|null}
+     */
+
+    batch = null;
+
+
+    /**
+     * Where changes are written for replays, null if they aren't
+     * @type {ChangeLog|null}
+     */
+
+    changeLog = null;
+
+
+    /**
+     * Access hooks by model
+     * @type {Object<ModelName,ModelAccess>}
+     */
+
+    access = {};
+
+
+    /**
+     * Database-level change capture, null if writes are only tracked by hooks
+     * @type {TriggerCapture|null}
+     */
+
+    capture = null;
+
+
+    /**
+     * Expiry times of the changes reported by hooks, so their captured rows can be
+     * skipped, by model, captured operation and instance id
+     * @private
+     * @type {Map<String,Array<Number>>}
+     */
+
+    #hookChanges = new Map();
+
+
+    /**
+     * Association names of the hops of relation paths, see #associationName
+     * @private
+     * @type {Map<String,String|undefined>}
+     */
+
+    #associationNames = new Map();
+
+
+    /**
+     * What subscribers told about themselves, by subscription id
+     * @type {Map<SubscriptionId,any>}
+     */
+
+    subscriptionContexts = new Map();
+
+
+    /**
+     * Counters for stats: changes emitted per operation and the number of
+     * subscription ids they were delivered to
+     * @private
+     * @type {{events: Object<ModelOperation,Number>, liveQueryEvents: Object<LiveQueryOperation,Number>, deliveries: Number, startedAt: Number}}
+     */
+
+    #counters = { events: {}, liveQueryEvents: {}, deliveries: 0, startedAt: Date.now() };
+
+
+    /**
+     * Handles returned by subscribe, by subscription id
+     * @private
+     * @type {Map<SubscriptionId,SubscriptionHandle>}
+     */
+
+    #handles = new Map();
+
+
+    /**
+     * Changes waiting for the next 'data-changed-batch' event
+     * @private
+     * @type {Array<Object>}
+     */
+
+    #batchQueue = [];
+
+
+    /**
+     * @private
+     * @type {NodeJS.Timeout|null}
+     */
+
+    #batchTimer = null;
+
+
+    /**
+     * Highest cascade depth requested by the tracker or any subscription,
+     * it limits how far changes are followed up the association graph
+     * @private
+     * @type {Number}
+     */
+
+    #maxCascadeDepth = 1;
+
+
+    /**
+     * Foreign key values of instances of depending models, indexed by
+     * ModelName:InstanceId, so cascading doesn't need a query per hop
+     * @private
+     * @type {Map<String,Object<FieldName,any>>}
+     */
+
+    #foreignKeyCache = new Map();
+
+
+    /**
+     * Notifications waiting for their transaction to be committed, with whether to remember them for trigger capture
+     * @private
+     * @type {WeakMap<Sequelize.Transaction,Array<{operationData: Object, remember: Boolean}>>}
+     */
+
+    #pendingNotifications = new WeakMap();
+
+
+    /**
+     * Register a hook on a model under this tracker's hook name
+     * @private
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {String} hookType
+     * @param {Function} fn
+     */
+
+    #addHook( model, hookType, fn ) {
+        model.addHook( hookType, this.hookName, fn );
+        this.#registeredHooks.push({ model, hookType });
+    }
+
+
+    /**
+     * Throw if the tracker has been destroyed
+     * @private
+     * @method
+     */
+
+    #assertNotDestroyed() {
+        if ( this.destroyed ) {
+            throw new Error( 'Tracker destroyed' );
+        }
+    }
+
+
+    /**
+     * Notify subscribers of a change made by a model operation. If the operation
+     * runs in a transaction (passed in the options or managed through CLS) the
+     * notification is held back until that transaction has been committed
+     * @private
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {Object} options - options of the model operation
+     * @param {Object} operationData - see notifySubscribers
+     */
+
+    async #queueNotification( model, options, operationData ) {
+
+        const transaction = options.transaction || model.sequelize.constructor._cls?.get( 'transaction' );
+
+        await this.#deliverAfterCommit( transaction, operationData, { remember: Boolean( this.capture ) && ! options.captured });
+    }
+
+
+    /**
+     * Remember a change reported by hooks (or notifyRaw), so the row the
+     * triggers capture for the same write isn't reported again. Only
+     * delivered changes are remembered: a rolled back write captures no row
+     * @private
+     * @method
+     * @param {Object} operationData - see notifySubscribers
+     */
+
+    #rememberHookChange({ modelName, operation, instanceData, soft }) {
+
+        const key = SequelizeChangeTracker.#hookChangeKey( modelName, SequelizeChangeTracker.#capturedOperation( operation, soft ), this.instanceIdOf( modelName, instanceData ));
+
+        if ( ! this.#hookChanges.has( key )) {
+            this.#hookChanges.set( key, [] );
+        }
+
+        this.#hookChanges.get( key ).push( Date.now() + this.capture.dedupeWindow );
+    }
+
+
+    /**
+     * Check whether hooks reported the write of a captured row, and if so forget
+     * that change, so it matches one captured row only. Used by TriggerCapture.
+     * Changes are matched by model, operation and instance id only: a write made
+     * outside Sequelize within the dedupe window of a hook change to the same row
+     * with the same operation is taken for that change and not reported
+     * @method
+     * @public
+     * @param {Object} capturedChange
+     * @param {ModelName} capturedChange.modelName
+     * @param {CapturedOperation} capturedChange.operation
+     * @param {InstanceId} capturedChange.instanceId
+     * @returns {Boolean} true if hooks reported it
+     */
+
+    claimHookChange({ modelName, operation, instanceId }) {
+
+        const key = SequelizeChangeTracker.#hookChangeKey( modelName, operation, instanceId );
+        const expiryTimes = ( this.#hookChanges.get( key ) || [] ).filter( expiresAt => expiresAt > Date.now() );
+
+        const claimed = expiryTimes.shift() !== undefined;
+
+        if ( expiryTimes.length > 0 ) {
+            this.#hookChanges.set( key, expiryTimes );
+        }
+        else {
+            this.#hookChanges.delete( key );
+        }
+
+        return claimed;
+    }
+
+
+    /**
+     * @private
+     * @static
+     * @method
+     * @param {ModelName} modelName
+     * @param {CapturedOperation} operation
+     * @param {InstanceId} instanceId
+     * @returns {String}
+     */
+
+    static #hookChangeKey( modelName, operation, instanceId ) {
+        return `${modelName}\n${operation}\n${instanceId}`;
+    }
+
+
+    /**
+     * The write a change is to the database: soft deletes and restores update the row
+     * @private
+     * @static
+     * @method
+     * @param {ModelOperation} operation
+     * @param {Boolean} [soft]
+     * @returns {CapturedOperation}
+     */
+
+    static #capturedOperation( operation, soft ) {
+
+        if ( operation === 'create' || operation === 'associate' ) {
+            return 'insert';
+        }
+
+        if ( ( operation === 'delete' || operation === 'dissociate' ) && ! soft ) {
+            return 'delete';
+        }
+
+        return 'update';
+    }
+
+
+    /**
+     * Notify subscribers once a transaction has been committed. Savepoints
+     * (nested transactions) pass their notifications on to their parent when
+     * released. Transactions that are rolled back never call their afterCommit
+     * hooks, so their notifications are dropped along with the transaction
+     * @private
+     * @method
+     * @param {Sequelize.Transaction} transaction
+     * @param {Object} operationData - see notifySubscribers
+     * @param {Object} [options]
+     * @param {Boolean} [options.remember=false] - whether to remember the change for trigger capture once delivered
+     */
+
+    async #deliverAfterCommit( transaction, operationData, { remember = false } = {} ) {
+
+        if ( ! transaction || transaction.finished ) {
+
+            if ( remember ) {
+                this.#rememberHookChange( operationData );
+            }
+
+            await this.notifySubscribers( operationData );
+            return;
+        }
+
+        if ( ! this.#pendingNotifications.has( transaction )) {
+
+            this.#pendingNotifications.set( transaction, [] );
+
+            transaction.afterCommit( async () => {
+
+                const pending = this.#pendingNotifications.get( transaction );
+
+                this.#pendingNotifications.delete( transaction );
+
+                for ( let { operationData: pendingData, remember: pendingRemember } of pending ) {
+                    await this.#deliverAfterCommit( transaction.parent, pendingData, { remember: pendingRemember });
+                }
+            });
+        }
+
+        // the instance might change before the transaction is committed
+
+        this.#pendingNotifications.get( transaction ).push({
+            operationData: {
+                ...operationData,
+                instanceData: { ...operationData.instanceData },
+                previousData: operationData.previousData && { ...operationData.previousData },
+            },
+            remember,
+        });
+    }
+
+
+    /**
+     * Make sure the rows affected by a bulk operation can be reported afterwards,
+     * either by looking them up now or by having Sequelize run the individual hooks
+     * @private
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {Object} options - options of the bulk operation
+     * @param {Object} [lookup]
+     * @param {Boolean} [lookup.paranoid] - whether to skip soft deleted rows, as the operation does by default
+     */
+
+    async #captureBulkTargets( model, options, { paranoid = options.paranoid } = {} ) {
+
+        // with individual hooks the afterUpdate / afterDestroy hooks do the work
+
+        if ( options.individualHooks ) {
+            return;
+        }
+
+        if ( this.bulkHooks === 'individual' ) {
+            options.individualHooks = true;
+            return;
+        }
+
+        if ( this.bulkHooks !== 'capture' ) {
+            return;
+        }
+
+        const instances = await model.findAll({
+            where: options.where,
+            limit: options.limit,
+            transaction: options.transaction,
+            logging: options.logging,
+            paranoid,
+        });
+
+        this.#bulkTargets.set( options, instances );
+    }
+
+
+    /**
+     * Check whether a query is the update of Model.increment or Model.decrement on a tracked model
+     * @private
+     * @method
+     * @param {Object} options - options of the query
+     * @returns {Boolean}
+     */
+
+    #isIncrementQuery( options ) {
+        return options.type === QueryTypes.UPDATE
+            && typeof options.increment === 'boolean'
+            && this.modelsByName[ options.model?.name ] === options.model;
+    }
+
+
+    /**
+     * Get the attribute a column of a model is mapped to
+     * @private
+     * @static
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {String} field - name of the column
+     * @returns {String}
+     */
+
+    static #attributeName( model, field ) {
+        return Object.values( model.rawAttributes ).find( attribute => attribute.field === field )?.fieldName ?? field;
+    }
+
+
+    /**
+     * Get the attribute of one of the timestamps of a model, as configured by its options
+     * @private
+     * @static
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {"updatedAt"|"deletedAt"} timestamp
+     * @returns {String|undefined} undefined if the model doesn't keep the timestamp (deletedAt: if it isn't paranoid)
+     */
+
+    static #timestampAttribute( model, timestamp ) {
+
+        const { options } = model;
+
+        if ( ! options.timestamps || options[ timestamp ] === false || ( timestamp === 'deletedAt' && ! options.paranoid )) {
+            return undefined;
+        }
+
+        // the option may name the attribute or its column
+
+        const name = typeof options[ timestamp ] === 'string' ? options[ timestamp ] : timestamp;
+
+        return name in model.rawAttributes ? name : SequelizeChangeTracker.#attributeName( model, name );
+    }
+
+
+    /**
+     * Build the where clause that finds the row an upsert conflicts with: by the
+     * conflict fields, or by every unique key (primary key, unique attributes and
+     * indexes) the given values contain
+     * @private
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {Object<String,any>} values - values passed to the upsert (not the built instance, which has defaults)
+     * @param {Object} options - options of the upsert
+     * @returns {Object|null} null if the values contain none of them
+     */
+
+    #upsertWhere( model, values, options ) {
+
+        const uniqueKeys = options.conflictFields ? [ options.conflictFields ] : [
+            model.primaryKeyAttributes,
+            ...Object.values( model.uniqueKeys ).map( uniqueKey => uniqueKey.fields ),
+            ...( model.options.indexes || [] ).filter( index => index.unique ).map( index => index.fields ),
+        ];
+
+        // unique keys are listed by field, the values are indexed by attribute
+
+        const conditions = uniqueKeys
+            .map( fields => fields.map( field => SequelizeChangeTracker.#attributeName( model, field?.attribute ?? field?.name ?? field )))
+            .filter( attributes => attributes.length > 0 && attributes.every( attribute => values[ attribute ] !== undefined && values[ attribute ] !== null ))
+            .map( attributes => Object.fromEntries( attributes.map( attribute => [ attribute, values[ attribute ] ] )));
+
+        return conditions.length > 0 ? { [ Op.or ]: conditions } : null;
+    }
+
+
+    /**
+     * Read rows back by their primary keys: with a single IN for a single-column key, in
+     * chunks of OR terms for a composite one, as databases limit the depth of expressions
+     * (SQLite to 1000)
+     * @private
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {Array<Object>} keys - primary key values by attribute, as returned by instance.where()
+     * @param {Object} options - options of the find
+     * @returns {Promise<Array<Sequelize.Instance>>}
+     */
+
+    async #findByKeys( model, keys, options ) {
+
+        if ( model.primaryKeyAttributes.length === 1 ) {
+
+            const [ primaryKey ] = model.primaryKeyAttributes;
+
+            return model.findAll({ ...options, where: { [ primaryKey ]: { [ Op.in ]: keys.map( key => key[ primaryKey ] ) } } });
+        }
+
+        const instances = [];
+
+        for ( let start = 0; start < keys.length; start += SequelizeChangeTracker.#keysPerLookup ) {
+            instances.push( ...await model.findAll({ ...options, where: { [ Op.or ]: keys.slice( start, start + SequelizeChangeTracker.#keysPerLookup ) } }));
+        }
+
+        return instances;
+    }
+
+
+    /**
+     * Retrieve (and forget) the rows captured for a bulk operation
+     * @private
+     * @method
+     * @param {Object} options - options of the bulk operation
+     * @returns {Array<Sequelize.Instance>}
+     */
+
+    #releaseBulkTargets( options ) {
+
+        const instances = this.#bulkTargets.get( options ) || [];
+
+        this.#bulkTargets.delete( options );
+
+        return instances;
+    }
+
+
+    /**
+     * Check the options object provided with a sequelize model method to check whether
+     * a subscription should be added. With trackChanges.live a live query is added
+     * for the where clause of the find instead, which is refused for paged finds (limit or
+     * offset) as the page can't be followed in memory. Eagerly loaded instances (options.include) are
+     * subscribed as well, unless trackChanges.includes is false or the include has
+     * trackChanges: false. A number for trackChanges.includes limits the nesting depth.
+     * The fields and where filters only apply to the instances of the model itself
+     * @private
+     * @method
+     * @param {ModelName} modelName
+     * @param {Sequelize.Instance} instance
+     * @param {Object} options
+     * @throws {Error} if a live query is requested for a paged find, or a where clause that can't be evaluated in memory
+     */
+
+    #addSubscriptionIfRequested( modelName, instance, options ) {
+
+        // instance argument can contain one data object, or an array of objects
+
+        if ( ! instance ) {
+            //console.debug( 'No instance found' );
+            return;
+        }
+
+        if ( ! options.trackChanges ) {
+            //console.debug( 'No tracking requested' );
+            return;
+        }
+
+        if ( ! options.trackChanges?.subscriptionId ) {
+            throw new Error( 'Missing subscription id' );
+        }
+
+        //console.log( 'Change tracking requested' );
+
+        const subscriptionId = options.trackChanges.subscriptionId;
+
+        const iterableInstances = Array.isArray( instance ) ? instance : [ instance ];
+
+        const { fields, where, cascadeDepth, ttl, includes = true, live = false, context } = options.trackChanges;
+
+        if ( context !== undefined ) {
+            this.setSubscriptionContext( subscriptionId, context );
+        }
+
+        // live queries follow the result set instead of the instances
+
+        if ( live ) {
+
+            if ( options.limit !== undefined || options.offset !== undefined ) {
+                throw new Error( 'Unsupported limit or offset in live query' );
+            }
+
+            const liveWhere = this.#liveQueryWheres.has( options ) ? this.#liveQueryWheres.get( options ) : options.where;
+
+            this.#liveQueryWheres.delete( options );
+
+            this.addLiveQuery({
+                modelName,
+                subscriptionId,
+                where: liveWhere,
+                instanceIds: iterableInstances.map( inst => this.instanceIdOf( modelName, inst.dataValues )),
+                ttl,
+            });
+            return;
+        }
+
+        for ( let inst of iterableInstances ) {
+            const instModelName = inst.constructor.name;
+            this.addSubscription({ modelName: instModelName, instanceId: this.instanceIdOf( instModelName, inst.dataValues ), subscriptionId, fields, where, cascadeDepth, ttl });
+        }
+
+        if ( includes !== false && options.include ) {
+            this.#addIncludeSubscriptions(
+                iterableInstances,
+                options.include,
+                { subscriptionId, cascadeDepth, ttl },
+                includes === true ? Infinity : includes
+            );
+        }
+    }
+
+
+    /**
+     * Subscribe to the eagerly loaded instances of a find, walking the includes recursively.
+     * Instances that are loaded more than once (or already subscribed) are skipped
+     * @private
+     * @method
+     * @param {Array<Sequelize.Instance>} instances - instances the includes were loaded for
+     * @param {Array<Object>} include - the include option of the find
+     * @param {Object} subscription - subscriptionId, cascadeDepth and ttl of the subscriptions to add
+     * @param {Number} depth - number of include levels left to walk
+     */
+
+    #addIncludeSubscriptions( instances, include, subscription, depth ) {
+
+        if ( depth < 1 ) {
+            return;
+        }
+
+        for ( let inc of include ) {
+
+            if ( inc.trackChanges === false || ! inc.as ) {
+                continue;
+            }
+
+            const included = instances
+                .flatMap( inst => inst?.[ inc.as ] ?? [] )
+                .filter( inst => inst instanceof Model );
+
+            const modelName = inc.model?.name;
+
+            if ( this.modelNames.includes( modelName )) {
+                for ( let inst of included ) {
+
+                    const instanceId = this.instanceIdOf( modelName, inst.dataValues );
+
+                    if ( instanceId === undefined ) {
+                        continue;
+                    }
+
+                    if ( ! this.store.find({ subscriptionId: subscription.subscriptionId, modelName, instanceId })) {
+                        this.addSubscription({ modelName, instanceId, ...subscription });
+                    }
+                }
+            }
+
+            if ( inc.include ) {
+                this.#addIncludeSubscriptions( included, inc.include, subscription, depth - 1 );
+            }
+        }
+    }
+
+
+    /**
+     * For some model event (operation) find the relevant subscription ids
+     * and emit a 'data-changed' event
+     * @method
+     * @public
+     * @param {Object} operationData
+     * @param {ModelName} operationData.modelName
+     * @param {ModelOperation} operationData.operation
+     * @param {Array<FieldName>} operationData.changedFields
+     * @param {Object<String,any>} operationData.instanceData
+     * @param {Object<String,any>} [operationData.previousData] - values before the operation, the removed row for deletes
+     * @param {Boolean} [operationData.soft] - for deletes, whether the row was only marked as deleted (paranoid models)
+     * @returns {Promise} resolves once the event has been emitted
+     */
+
+    async notifySubscribers( operationData ) {
+
+        // hooks of a running operation may still fire after destroy
+
+        if ( this.destroyed ) {
+            return;
+        }
+
+        if ( ! this.#isReported( operationData )) {
+            return;
+        }
+
+        const sequence = await this.#notifyLocalSubscribers( operationData );
+
+        // let other processes notify their subscribers, the change has been logged here
+
+        await this.store.publish?.( sequence === undefined ? operationData : { ...operationData, sequence });
+    }
+
+
+    /**
+     * Report changes made without Sequelize's model methods, e.g. by raw queries
+     * (sequelize.query) or another application. The changed rows are read by their
+     * primary key, deleted rows are reported by their primary key values only. As the
+     * previous values are unknown, updates come without a diff
+     * @method
+     * @public
+     * @param {Object} change
+     * @param {ModelName} change.modelName
+     * @param {ModelOperation} change.operation
+     * @param {Array<InstanceId|Object<String,any>>} change.ids - instance ids, or objects of primary key values
+     * @param {Array<FieldName>} [change.changedFields] - for updates, the fields that were changed
+     * @param {Sequelize.Transaction} [change.transaction] - transaction the changes were made in, they are reported once it has been committed
+     * @param {Boolean} [change.captured=false] - whether the changes were read from the capture table (see TriggerCapture)
+     * @returns {Promise} resolves once the changes have been reported
+     * @throws {Error} if the model is not tracked
+     */
+
+    async notifyRaw({ modelName, operation, ids, changedFields, transaction, captured = false }) {
+
+        this.#assertNotDestroyed();
+
+        const model = this.modelsByName[ modelName ];
+
+        if ( ! model ) {
+            throw new Error( `Unknown model: ${modelName}` );
+        }
+
+        const where = ids.map( id => this.#primaryKeyWhere( modelName, id ));
+
+        if ( where.length === 0 ) {
+            return;
+        }
+
+        const isDelete = operation === 'delete' || operation === 'dissociate';
+
+        const instances = isDelete ? [] : await this.#findByKeys( model, where, {
+            transaction,
+            paranoid: false,
+        });
+
+        const rows = isDelete ? where : instances.map( instance => instance.dataValues );
+
+        for ( let instanceData of rows ) {
+            await this.#queueNotification( model, { transaction, captured }, { 
+                modelName, 
+                operation, 
+                changedFields, 
+                instanceData,
+            });
+        }
+    }
+
+
+    /**
+     * Check a change against the configuration of its model: whether its operation
+     * is tracked, and for updates whether it changed more than the ignored fields
+     * @private
+     * @method
+     * @param {Object} operationData - see notifySubscribers
+     * @returns {Boolean}
+     */
+
+    #isReported({ modelName, operation, changedFields, instanceData, previousData }) {
+
+        const modelConfig = this.modelConfigs[ modelName ];
+
+        if ( ! modelConfig ) {
+            return true;
+        }
+
+        if ( modelConfig.operations && ! modelConfig.operations.includes( operation )) {
+            return false;
+        }
+
+        if ( operation !== 'update' || modelConfig.ignoreFields.length === 0 ) {
+            return true;
+        }
+
+        // the actual changes are known if the previous values are,
+        // the updatedAt timestamp changes along with the ignored fields
+
+        const diff = SequelizeChangeTracker.#computeDiff( operation, instanceData, previousData );
+        const fields = diff ? Object.keys( diff ) : changedFields;
+        const ignoreFields = [ ...modelConfig.ignoreFields, SequelizeChangeTracker.#timestampAttribute( this.modelsByName[ modelName ], 'updatedAt' ) ];
+
+        return ! Array.isArray( fields ) || fields.some( field => ! ignoreFields.includes( field ));
+    }
+
+
+    /**
+     * Find the relevant subscription ids of this process and emit a 'data-changed' event
+     * per relation path: subscribers of the instance (or model) itself get the change as is,
+     * subscribers of ancestors get it with the path that led to them (via)
+     * @private
+     * @method
+     * @param {Object} operationData - see notifySubscribers
+     * @param {Number} [operationData.sequence] - sequence number of a relayed change in the change log
+     * @param {Object} [options]
+     * @param {Boolean} [options.relayed=false] - whether the change was relayed by another process, which logged it already
+     * @returns {Promise<Number|undefined>} the sequence number of the change in the change log
+     */
+
+    async #notifyLocalSubscribers({ modelName, operation, changedFields, instanceData, previousData, soft, sequence }, { relayed = false } = {} ) {
+
+        if ( this.destroyed ) {
+            return;
+        }
+
+        const instanceId = this.instanceIdOf( modelName, instanceData );
+
+        // we want the values, not the object
+        
+        const { generic } = this.modelConfigs[ modelName ] || {};
+
+        // one map collects the subscription ids with the relation path that led to them
+        // (null for subscriptions on the instance or model itself), duplicates are possible
+        // because delete is a generic and specific event, and a subscriber might follow
+        // both the instance and one of its ancestors. The first (shortest) path wins
+
+        const subscriptionPaths = new Map();
+
+        if ( SequelizeChangeTracker.genericOperations.includes( operation ) && ( generic === true || generic?.includes?.( operation ))) {
+            for ( let subscriptionId of this.store.findByResource( modelName )) {
+                if ( this.#matchesFilters( this.store.find({ subscriptionId, modelName, generic: true }), { operation, changedFields, instanceData })) {
+                    subscriptionPaths.set( subscriptionId, null );
+                }
+            }
+        }
+
+        if ( SequelizeChangeTracker.specificOperations.includes( operation )) {
+            for ( let subscriptionId of this.store.findByResource( modelName, instanceId )) {
+                if ( this.#matchesFilters( this.store.find({ subscriptionId, modelName, instanceId }), { operation, changedFields, instanceData })) {
+                    subscriptionPaths.set( subscriptionId, null );
+                }
+            }
+        }
+
+        //console.log( 'notif', modelName, operation, changedFields, instanceData, cascade );
+
+        if ( operation === 'delete' ) {
+            this.#foreignKeyCache.delete( `${modelName}:${instanceId}` );
+        }
+        else {
+            this.#rememberForeignKeys( modelName, instanceId, instanceData );
+        }
+
+        await this.#notifyLiveQueries({ modelName, operation, instanceId, instanceData, previousData });
+
+        await this.#findDependingSubscriptions( modelName, instanceId, instanceData, subscriptionPaths );
+
+        const subscriptionIds = [ ...subscriptionPaths.keys() ];
+
+        // the relation paths are kept per subscription id, the change
+        // is only split into an event per path when it is emitted
+
+        const vias = Object.fromEntries( [ ...subscriptionPaths ].filter( ([ , via ]) => via !== null ));
+
+        const change = {
+            operation,
+            model: modelName,
+            instance: instanceData,
+            changedFields,
+            previous: previousData ? { ...previousData } : null,
+            diff: SequelizeChangeTracker.#computeDiff( operation, instanceData, previousData ),
+            ...( operation === 'delete' ? { soft: soft === true } : {} ),
+            ...( Object.keys( vias ).length > 0 ? { vias } : {} ),
+            subscriptionIds,
+        };
+
+        // every change is logged (by the process it was made in), so replays can start from any sequence number,
+        // processes a change is relayed to add the subscription ids they deliver it to
+
+        if ( relayed ) {
+            if ( sequence !== undefined ) {
+                change.sequence = sequence;
+                await this.changeLog?.addRecipients( sequence, subscriptionIds, vias );
+            }
+        }
+        else if ( this.changeLog ) {
+            change.sequence = await this.changeLog.append( change );
+        }
+
+        if ( subscriptionIds.length > 0 && ! this.destroyed ) {
+
+            const restrictedChanges = await this.#restrictChange( change );
+
+            this.#countEvent( 'events', operation, restrictedChanges );
+
+            for ( let pathChange of restrictedChanges.flatMap( SequelizeChangeTracker.#splitByPath )) {
+                if ( this.batch ) {
+                    this.#addToBatch( pathChange );
+                }
+                else {
+                    this.emit( 'data-changed', pathChange );
+                    this.#pushToHandles( pathChange );
+                }
+            }
+        }
+
+        return change.sequence;
+    }
+
+
+    /**
+     * Split a change into one change per relation path: subscribers of the instance
+     * (or model) itself get the change as is, subscribers of ancestors get it with
+     * the path that led to them (via). Subscribers that share a path share a change
+     * @private
+     * @static
+     * @method
+     * @param {Object} change - with the relation paths by subscription id (vias)
+     * @returns {Array<Object>} payloads of 'data-changed' events
+     */
+
+    static #splitByPath({ vias = {}, subscriptionIds, ...change }) {
+
+        const paths = new Map();
+
+        for ( let subscriptionId of subscriptionIds ) {
+
+            const via = vias[ subscriptionId ] ?? null;
+            const key = via ? JSON.stringify( via ) : '';
+
+            if ( ! paths.has( key )) {
+                paths.set( key, { via, subscriptionIds: [] } );
+            }
+
+            paths.get( key ).subscriptionIds.push( subscriptionId );
+        }
+
+        return [ ...paths.values() ].map( ({ via, subscriptionIds }) => ({ ...change, ...( via ? { via } : {} ), subscriptionIds }));
+    }
+
+
+    /**
+     * Apply the access hooks of the changed model: split a change into one change per
+     * subscriber, with only what that subscriber may see, and drop the changes
+     * subscribers aren't authorized for
+     * @private
+     * @method
+     * @param {Object} change - payload of a 'data-changed' or 'live-query-changed' event
+     * @returns {Promise<Array<Object>>} the change itself if the model has no access hooks
+     */
+
+    async #restrictChange( change ) {
+
+        const access = this.access[ change.model ];
+
+        if ( ! access ) {
+            return [ change ];
+        }
+
+        const restrictedChanges = [];
+
+        for ( let subscriptionId of change.subscriptionIds ) {
+
+            const subscriptionContext = { subscriptionId, context: this.subscriptionContexts.get( subscriptionId ) };
+
+            if ( access.authorize && ! await access.authorize( subscriptionContext, change.model, change.instance )) {
+                continue;
+            }
+
+            if ( ! access.project ) {
+                restrictedChanges.push({ ...change, subscriptionIds: [ subscriptionId ] });
+                continue;
+            }
+
+            const instance = await access.project( change.model, change.instance, subscriptionContext );
+            const previous = change.previous && await access.project( change.model, change.previous, subscriptionContext );
+
+            // diffs hold new values, so they are taken from the projected instance
+
+            restrictedChanges.push({
+                ...change,
+                instance,
+                previous,
+                changedFields: Array.isArray( change.changedFields ) ? change.changedFields.filter( field => field in instance ) : change.changedFields,
+                ...( 'diff' in change ? {
+                    diff: change.diff && Object.fromEntries( Object.keys( change.diff ).filter( field => field in instance ).map( field => [ field, instance[ field ] ] )),
+                } : {} ),
+                subscriptionIds: [ subscriptionId ],
+            });
+        }
+
+        return restrictedChanges;
+    }
+
+
+    /**
+     * Update the live queries on a model for a change of one of its instances and emit
+     * a 'live-query-changed' event for every way (enter, leave, update) their result sets changed.
+     * These events are not batched
+     * @private
+     * @method
+     * @returns {Promise}
+     * @param {Object} change
+     * @param {ModelName} change.modelName
+     * @param {ModelOperation} change.operation
+     * @param {InstanceId} change.instanceId
+     * @param {Object<String,any>} change.instanceData
+     * @param {Object<String,any>} [change.previousData]
+     */
+
+    async #notifyLiveQueries({ modelName, operation, instanceId, instanceData, previousData }) {
+
+        if ( instanceId === undefined || ! this.liveQueries[ modelName ]?.length ) {
+            return;
+        }
+
+        const subscriptionIdsByOperation = { enter: new Set(), leave: new Set(), update: new Set() };
+
+        for ( let liveQuery of this.liveQueries[ modelName ] ) {
+
+            // deleted (also soft deleted) rows are no longer found by the query
+
+            const liveOperation = liveQuery.apply( instanceId, operation === 'delete' || operation === 'dissociate' ? null : instanceData );
+
+            if ( liveOperation !== null ) {
+                subscriptionIdsByOperation[ liveOperation ].add( liveQuery.subscriptionId );
+            }
+        }
+
+        for ( let [ liveOperation, subscriptionIds ] of Object.entries( subscriptionIdsByOperation )) {
+            if ( subscriptionIds.size === 0 ) {
+                continue;
+            }
+
+            const restrictedChanges = await this.#restrictChange({
+                operation: liveOperation,
+                model: modelName,
+                instance: instanceData,
+                previous: previousData ? { ...previousData } : null,
+                subscriptionIds: [ ...subscriptionIds ],
+            });
+
+            this.#countEvent( 'liveQueryEvents', liveOperation, restrictedChanges );
+
+            for ( let restrictedChange of restrictedChanges ) {
+                this.emit( 'live-query-changed', restrictedChange );
+                this.#pushToHandles( restrictedChange );
+            }
+        }
+    }
+
+
+    /**
+     * Count an emitted change for the stats
+     * @private
+     * @method
+     * @param {"events"|"liveQueryEvents"} counter
+     * @param {ModelOperation|LiveQueryOperation} operation
+     * @param {Array<Object>} changes - the change, per subscriber if restricted by access hooks
+     */
+
+    #countEvent( counter, operation, changes ) {
+
+        if ( changes.length === 0 ) {
+            return;
+        }
+
+        this.#counters[ counter ][ operation ] = ( this.#counters[ counter ][ operation ] || 0 ) + 1;
+
+        this.#counters.deliveries += changes.reduce( ( sum, change ) => sum + change.subscriptionIds.length, 0 );
+    }
+
+
+    /**
+     * Queue a change for the next 'data-changed-batch' event
+     * @private
+     * @method
+     * @param {Object} change - payload of a 'data-changed' event
+     */
+
+    #addToBatch( change ) {
+
+        // the instance might change before the batch is emitted
+
+        this.#batchQueue.push({ ...change, instance: { ...change.instance } });
+
+        if ( this.#batchQueue.length >= this.batch.maxSize ) {
+            this.flush();
+        }
+        else if ( this.#batchTimer === null ) {
+            this.#batchTimer = setTimeout( () => this.flush(), this.batch.window );
+        }
+    }
+
+
+    /**
+     * Emit the queued changes as one 'data-changed-batch' event. Changes of
+     * the same instance are merged into one, the changes are grouped per subscription id
+     * @method
+     * @public
+     */
+
+    flush() {
+
+        clearTimeout( this.#batchTimer );
+        this.#batchTimer = null;
+
+        const queue = this.#batchQueue;
+
+        this.#batchQueue = [];
+
+        // merge changes of the same instance, instances without primary key are never merged
+
+        const changesByInstance = new Map();
+
+        for ( let change of queue ) {
+
+            // with access hooks changes are per subscriber, so they are merged per subscriber as well
+
+            const instanceId = this.instanceIdOf( change.model, change.instance );
+            const subscriberKey = this.access[ change.model ] ? `:${change.subscriptionIds[ 0 ]}` : '';
+            const viaKey = change.via ? `:${JSON.stringify( change.via )}` : '';
+            const key = instanceId === undefined ? Symbol() : `${change.model}:${instanceId}${subscriberKey}${viaKey}`;
+
+            changesByInstance.set(
+                key,
+                changesByInstance.has( key ) ? SequelizeChangeTracker.#mergeChanges( changesByInstance.get( key ), change ) : change
+            );
+        }
+
+        const changesBySubscriptionId = new Map();
+
+        for ( let { subscriptionIds, ...change } of changesByInstance.values() ) {
+
+            // created and deleted within the batch
+
+            if ( change.operation === null ) {
+                continue;
+            }
+
+            for ( let subscriptionId of subscriptionIds ) {
+                if ( ! changesBySubscriptionId.has( subscriptionId )) {
+                    changesBySubscriptionId.set( subscriptionId, [] );
+                }
+                changesBySubscriptionId.get( subscriptionId ).push( change );
+            }
+        }
+
+        if ( changesBySubscriptionId.size > 0 ) {
+            this.emit(
+                'data-changed-batch',
+                {
+                    subscriptions: [ ...changesBySubscriptionId ].map( ([ subscriptionId, changes ]) => ({ subscriptionId, changes }) ),
+                }
+            );
+        }
+
+        for ( let [ subscriptionId, changes ] of changesBySubscriptionId ) {
+            for ( let change of changes ) {
+                this.#handles.get( subscriptionId )?.push( change );
+            }
+        }
+    }
+
+
+    /**
+     * Deliver a change to the handles of the subscription ids it is meant for
+     * @private
+     * @method
+     * @param {Object} change - payload of a 'data-changed' or 'live-query-changed' event
+     */
+
+    #pushToHandles( change ) {
+
+        if ( this.#handles.size === 0 ) {
+            return;
+        }
+
+        for ( let subscriptionId of change.subscriptionIds ) {
+            this.#handles.get( subscriptionId )?.push( change );
+        }
+    }
+
+
+    /**
+     * Merge two consecutive changes of the same instance into one, with the final
+     * state of the instance and the union of the changed fields
+     * @private
+     * @static
+     * @method
+     * @param {Object} earlier - payload of a 'data-changed' event
+     * @param {Object} later - payload of a 'data-changed' event
+     * @returns {Object} payload of a 'data-changed' event, with operation null if nothing is left
+     */
+
+    static #mergeChanges( earlier, later ) {
+
+        let operation = later.operation;
+
+        if ( earlier.operation === 'create' ) {
+            operation = later.operation === 'delete' ? null : 'create';
+        }
+
+        return {
+            operation,
+            model: later.model,
+            instance: later.instance,
+            changedFields: Array.isArray( earlier.changedFields ) && Array.isArray( later.changedFields )
+                ? [ ...new Set([ ...earlier.changedFields, ...later.changedFields ]) ]
+                : later.changedFields ?? earlier.changedFields,
+            previous: earlier.previous,
+            diff: SequelizeChangeTracker.#computeDiff( operation, later.instance, earlier.previous ),
+            ...( operation === 'delete' ? { soft: later.soft } : {} ),
+            ...( later.via ? { via: later.via } : {} ),
+            ...( later.sequence !== undefined ? { sequence: later.sequence } : {} ),
+            subscriptionIds: [ ...new Set([ ...earlier.subscriptionIds, ...later.subscriptionIds ]) ],
+        };
+    }
+
+
+    /**
+     * Walk up the depending model map from a changed instance and collect the
+     * subscriptions on its ancestors, with the relation path from the changed
+     * instance up to the ancestor. A subscription on an ancestor n hops away
+     * is included if its cascade depth is at least n. Instances are visited once,
+     * which protects against cycles in the association graph
+     * @private
+     * @method
+     * @param {ModelName} modelName
+     * @param {InstanceId} instanceId
+     * @param {Object<String,any>} instanceData
+     * @param {Map<SubscriptionId,Array<RelationHop>|null>} subscriptionPaths - the ids found are added to this map, unless already in it
+     * @returns {Promise}
+     */
+
+    async #findDependingSubscriptions( modelName, instanceId, instanceData, subscriptionPaths ) {
+
+        const visited = new Set([ `${modelName}:${instanceId}` ]);
+
+        let level = [ { modelName, instanceId, data: instanceData, via: [] } ];
+
+        for ( let depth = 1; depth <= this.#maxCascadeDepth; depth++ ) {
+
+            const lastHop = depth === this.#maxCascadeDepth;
+
+            const nextLevel = [];
+
+            for ( let { modelName: childModelName, instanceId: childInstanceId, data, via } of level ) {
+                for ( let dependingModel of this.dependingModelMap[ childModelName ] ) {
+
+                    // the changed instance may have been loaded without the foreign key
+
+                    const dependingInstanceIds = dependingModel.through
+                        ? await this.#lookupThroughIds( dependingModel, childInstanceId, lastHop )
+                        : [ dependingModel.foreignKey in data ? data[ dependingModel.foreignKey ] : ( await this.#lookupForeignKeys( childModelName, childInstanceId ))?.[ dependingModel.foreignKey ] ];
+
+                    for ( let dependingInstanceId of dependingInstanceIds ) {
+
+                        const resourceKey = `${dependingModel.name}:${dependingInstanceId}`;
+
+                        if ( dependingInstanceId === undefined || dependingInstanceId === null || visited.has( resourceKey )) {
+                            continue;
+                        }
+
+                        visited.add( resourceKey );
+
+                        const dependingVia = [ ...via, {
+                            model: dependingModel.name,
+                            instanceId: dependingInstanceId,
+                            association: this.#associationName( childModelName, dependingModel ),
+                            foreignKey: dependingModel.foreignKey,
+                            ...( dependingModel.through ? { through: dependingModel.through } : {} ),
+                        } ];
+
+                        const dependingInstanceSubscriptions = this.store.findByResource( dependingModel.name, dependingInstanceId );
+
+                        for ( let subscriptionId of dependingInstanceSubscriptions ) {
+
+                            const subObj = this.store.find({ subscriptionId, modelName: dependingModel.name, instanceId: dependingInstanceId });
+
+                            if ( ( subObj?.cascadeDepth ?? this.cascadeDepth ) >= depth && ! subscriptionPaths.has( subscriptionId )) {
+                                subscriptionPaths.set( subscriptionId, dependingVia );
+                            }
+                        }
+
+                        if ( this.dependingModelMap[ dependingModel.name ].length > 0 ) {
+                            nextLevel.push({ modelName: dependingModel.name, instanceId: dependingInstanceId, via: dependingVia });
+                        }
+                    }
+                }
+            }
+
+            if ( lastHop || nextLevel.length === 0 ) {
+                break;
+            }
+
+            level = ( await Promise.all( nextLevel.map( async ({ modelName, instanceId, via }) => ({
+                modelName,
+                instanceId,
+                data: await this.#lookupForeignKeys( modelName, instanceId ),
+                via,
+            }))))
+                .filter( ({ data }) => data !== null );
+        }
+    }
+
+
+    /**
+     * Get the name of the association through which changes of a model reach a
+     * depending model, as seen from the depending model. Associations defined on
+     * the changed model only (e.g. a belongsTo without hasMany) are named from there
+     * @private
+     * @method
+     * @param {ModelName} childModelName - the changed model
+     * @param {Object} dependingModel - entry of the depending model map of the changed model
+     * @returns {String|undefined}
+     */
+
+    #associationName( childModelName, dependingModel ) {
+
+        const cacheKey = `${childModelName}\n${dependingModel.name}\n${dependingModel.foreignKey}\n${dependingModel.through}`;
+
+        if ( ! this.#associationNames.has( cacheKey )) {
+
+            const associations = Object.values( this.modelsByName[ dependingModel.name ].associations );
+            const childAssociations = Object.values( this.modelsByName[ childModelName ].associations );
+
+            const association = dependingModel.through
+                ? associations.find( a => a instanceof BelongsToMany && a.through.model.name === dependingModel.through && a.target.name === childModelName )
+                    ?? childAssociations.find( a => a instanceof BelongsToMany && a.through.model.name === dependingModel.through && a.target.name === dependingModel.name )
+                : associations.find( a => a.target.name === childModelName && a.foreignKey === dependingModel.foreignKey )
+                    ?? childAssociations.find( a => a.target.name === dependingModel.name && a.foreignKey === dependingModel.foreignKey )
+                    // rows of join tables belong to a many-to-many association of the depending model
+                    ?? associations.find( a => a instanceof BelongsToMany && a.through.model.name === childModelName );
+
+            this.#associationNames.set( cacheKey, association?.as );
+        }
+
+        return this.#associationNames.get( cacheKey );
+    }
+
+
+    /**
+     * Store the foreign keys of an instance in the cache, if the model has depending models.
+     * Instances loaded without some of the foreign keys drop their entry instead
+     * @private
+     * @method
+     * @param {ModelName} modelName
+     * @param {InstanceId} instanceId
+     * @param {Object<String,any>} instanceData
+     */
+
+    #rememberForeignKeys( modelName, instanceId, instanceData ) {
+
+        const dependingModels = this.dependingModelMap[ modelName ].filter( dm => ! dm.through );
+
+        if ( dependingModels.length === 0 || instanceId === undefined ) {
+            return;
+        }
+
+        const cacheKey = `${modelName}:${instanceId}`;
+
+        // re-insert, so the map stays ordered from least to most recently used
+
+        this.#foreignKeyCache.delete( cacheKey );
+
+        if ( dependingModels.some( dm => ! ( dm.foreignKey in instanceData ))) {
+            return;
+        }
+
+        this.#foreignKeyCache.set(
+            cacheKey,
+            Object.fromEntries( dependingModels.map( dm => [ dm.foreignKey, instanceData[ dm.foreignKey ] ] ))
+        );
+
+        if ( this.#foreignKeyCache.size > this.foreignKeyCacheSize ) {
+            this.#foreignKeyCache.delete( this.#foreignKeyCache.keys().next().value );
+        }
+    }
+
+
+    /**
+     * Get the foreign keys of an instance, from the cache or else from the database
+     * @private
+     * @method
+     * @param {ModelName} modelName
+     * @param {InstanceId} instanceId
+     * @returns {Promise<Object<FieldName,any>|null>} null if the instance doesn't exist
+     */
+
+    async #lookupForeignKeys( modelName, instanceId ) {
+
+        const cacheKey = `${modelName}:${instanceId}`;
+
+        if ( this.#foreignKeyCache.has( cacheKey )) {
+            return this.#foreignKeyCache.get( cacheKey );
+        }
+
+        const foreignKeys = [ ...new Set( this.dependingModelMap[ modelName ].filter( dm => ! dm.through ).map( dm => dm.foreignKey ) ) ];
+
+        if ( foreignKeys.length === 0 ) {
+            return {};
+        }
+
+        const row = await this.modelsByName[ modelName ].findByPk( instanceId, { attributes: foreignKeys, raw: true, hooks: false } );
+
+        if ( ! row ) {
+            return null;
+        }
+
+        this.#rememberForeignKeys( modelName, instanceId, row );
+
+        return row;
+    }
+
+
+    /**
+     * Find the instances on the other end of a many-to-many association by
+     * reading the join table
+     * @private
+     * @method
+     * @param {Object} dependingModel - entry of the depending model map with a "through" model
+     * @param {InstanceId} instanceId - id of the instance on this end of the association
+     * @param {Boolean} lastHop - whether the cascade stops at the other end
+     * @returns {Promise<Array<InstanceId>>}
+     */
+
+    async #lookupThroughIds( dependingModel, instanceId, lastHop ) {
+
+        // if nobody subscribed to specific instances on the other end
+        // and the cascade doesn't go any further, there's no need to look
+
+        if ( instanceId === undefined || ( lastHop && ! this.store.hasInstanceSubscriptions( dependingModel.name ))) {
+            return [];
+        }
+
+        const rows = await this.modelsByName[ dependingModel.through ].findAll({
+            where: { [ dependingModel.foreignKey ]: instanceId },
+            attributes: [ dependingModel.otherKey ],
+            raw: true,
+            hooks: false,
+        });
+
+        return rows.map( row => row[ dependingModel.otherKey ] );
+    }
+
+
+    /**
+     * Determine the fields that actually changed, with their new values.
+     * For creates (and associates) this is the entire instance, for deletes it is null, as is
+     * the case for updates of which the previous values are unknown
+     * @private
+     * @static
+     * @method
+     * @param {ModelOperation} operation
+     * @param {Object<String,any>} instanceData
+     * @param {Object<String,any>} [previousData]
+     * @returns {Object<FieldName,any>|null}
+     */
+
+    static #computeDiff( operation, instanceData, previousData ) {
+
+        if ( operation === 'create' || operation === 'associate' ) {
+            return { ...instanceData };
+        }
+
+        if ( operation === 'delete' || operation === 'dissociate' || ! previousData ) {
+            return null;
+        }
+
+        const isEqual = ( a, b ) => a instanceof Date && b instanceof Date 
+            ? a.getTime() === b.getTime() 
+            : a === b;
+
+        return Object.fromEntries(
+            Object.entries( instanceData ).filter( ([ field, value ]) => ! isEqual( value, previousData[ field ] ))
+        );
+    }
+
+
+    /**
+     * Get the id under which subscriptions on an instance are registered: the
+     * value of the primary key, or for composite primary keys a JSON array of
+     * the values of all primary key attributes (in the order of the model)
+     * @method
+     * @public
+     * @param {ModelName} modelName
+     * @param {Object<String,any>} instanceData - the instance's data values, or just its primary key values
+     * @returns {InstanceId|undefined} undefined if the model has no primary key or a key value is missing
+     */
+
+    instanceIdOf( modelName, instanceData ) {
+
+        const primaryKeys = this.primaryKeys[ modelName ] || [ 'id' ];
+
+        if ( primaryKeys.length === 1 ) {
+            return instanceData[ primaryKeys[ 0 ] ];
+        }
+
+        if ( primaryKeys.length === 0 || primaryKeys.some( key => instanceData[ key ] === undefined )) {
+            return undefined;
+        }
+
+        return JSON.stringify( primaryKeys.map( key => instanceData[ key ] ));
+    }
+
+
+    /**
+     * Instance ids can be passed as an object of primary key values,
+     * turn those into the id the registers use
+     * @private
+     * @method
+     * @param {ModelName} modelName
+     * @param {InstanceId|Object<String,any>} instanceId
+     * @returns {InstanceId}
+     */
+
+    #normalizeInstanceId( modelName, instanceId ) {
+        return instanceId !== null && typeof instanceId === 'object' && Object.getPrototypeOf( instanceId ) === Object.prototype
+            ? this.instanceIdOf( modelName, instanceId )
+            : instanceId;
+    }
+
+
+    /**
+     * Turn an instance id (or an object of primary key values) into a where clause on the primary key
+     * @private
+     * @method
+     * @param {ModelName} modelName
+     * @param {InstanceId|Object<String,any>} instanceId
+     * @returns {Object<String,any>}
+     */
+
+    #primaryKeyWhere( modelName, instanceId ) {
+
+        const primaryKeys = this.primaryKeys[ modelName ];
+
+        if ( instanceId !== null && typeof instanceId === 'object' ) {
+            return Object.fromEntries( primaryKeys.map( key => [ key, instanceId[ key ] ] ));
+        }
+
+        // composite keys are registered as JSON arrays, see instanceIdOf
+
+        const values = primaryKeys.length === 1 ? [ instanceId ] : JSON.parse( instanceId );
+
+        return Object.fromEntries( primaryKeys.map( ( key, index ) => [ key, values[ index ] ] ));
+    }
+
+
+    /**
+     * Check whether a change passes the field and where filters of a subscription.
+     * The fields filter only applies to updates, deletes and creates always pass
+     * @private
+     * @method
+     * @param {GenericSubscriptionObject|SpecificSubscriptionObject} subscriptionObject
+     * @param {Object} operationData - see notifySubscribers
+     * @returns {Boolean}
+     */
+
+    #matchesFilters( subscriptionObject, { operation, changedFields, instanceData }) {
+
+        if ( ! subscriptionObject ) {
+            return true;
+        }
+
+        const { fields, where } = subscriptionObject;
+
+        if ( operation === 'update' && Array.isArray( fields ) && Array.isArray( changedFields ) ) {
+            if ( ! changedFields.some( field => fields.includes( field ) )) {
+                return false;
+            }
+        }
+
+        if ( typeof where === 'function' ) {
+            return where( instanceData ) ? true : false;
+        }
+
+        if ( where ) {
+            return Object.entries( where ).every( ([ field, value ]) => Array.isArray( value )
+                ? value.includes( instanceData[ field ] )
+                : instanceData[ field ] === value
+            );
+        }
+
+        return true;
+    }
+
+
+    /**
+     * Keep only the filters (and cascade depth and expiry) that have been set, so subscription objects without
+     * filters look the same as before
+     * @private
+     * @method
+     * @param {Object} filters
+     * @param {Array<FieldName>} [filters.fields]
+     * @param {SubscriptionWhere} [filters.where]
+     * @param {Number} [filters.cascadeDepth]
+     * @param {Number} [filters.ttl]
+     * @param {Number} [filters.expiresAt]
+     * @returns {Object}
+     */
+
+    #filterProperties({ fields, where, cascadeDepth, ttl, expiresAt }) {
+        return Object.fromEntries( Object.entries({ fields, where, cascadeDepth, ttl, expiresAt }).filter( ([ , value ]) => value !== undefined ));
+    }
+
+
+    /**
+     * Remove all subscriptions for a given subscription id
+     * @method
+     * @public
+     * @param {SubscriptionId} subscriptionId
+     * @param {String} [reason="removed"] - reported in the 'subscriptions-changed' events
+     */
+
+    removeSubscriptionAllModels( subscriptionId, reason = 'removed' ) {
+        this.#assertNotDestroyed();
+        for ( let subObj of this.store.findById( subscriptionId )) {
+            this.removeSubscription( { subscriptionId, ...subObj }, reason );
+        }
+        for ( let modelName of this.modelNames ) {
+            this.removeLiveQuery({ modelName, subscriptionId }, reason );
+        }
+        this.subscriptionContexts.delete( subscriptionId );
+    }
+
+
+    /**
+     * Heartbeat: restart the time to live of all subscriptions for a given subscription id
+     * @method
+     * @public
+     * @param {SubscriptionId} subscriptionId
+     */
+
+    touch( subscriptionId ) {
+
+        this.#assertNotDestroyed();
+
+        const now = Date.now();
+
+        for ( let subObj of this.store.findById( subscriptionId )) {
+            if ( subObj.ttl !== undefined ) {
+                this.store.setExpiry({ subscriptionId, ...subObj }, now + subObj.ttl );
+            }
+        }
+
+        for ( let liveQuery of Object.values( this.liveQueries ).flat() ) {
+            if ( liveQuery.subscriptionId === subscriptionId && liveQuery.ttl !== undefined ) {
+                liveQuery.expiresAt = now + liveQuery.ttl;
+            }
+        }
+    }
+
+
+    /**
+     * Remove expired subscriptions and prune empty entries from the registers.
+     * Runs periodically, see the sweepInterval option
+     * @method
+     * @public
+     */
+
+    sweep() {
+
+        this.#assertNotDestroyed();
+
+        const now = Date.now();
+
+        for ( let subscriptionId of this.store.allSubscriptionIds() ) {
+            for ( let subObj of [ ...this.store.findById( subscriptionId ) ] ) {
+                if ( subObj.expiresAt !== undefined && subObj.expiresAt <= now ) {
+                    this.removeSubscription( { subscriptionId, ...subObj }, 'expired' );
+                }
+            }
+        }
+
+        for ( let [ modelName, liveQueries ] of Object.entries( this.liveQueries )) {
+            for ( let { subscriptionId, expiresAt } of liveQueries ) {
+                if ( expiresAt !== undefined && expiresAt <= now ) {
+                    this.removeLiveQuery({ modelName, subscriptionId }, 'expired' );
+                }
+            }
+        }
+
+        this.store.prune();
+
+        for ( let [ key, expiryTimes ] of [ ...this.#hookChanges ] ) {
+            if ( expiryTimes.every( expiresAt => expiresAt <= now )) {
+                this.#hookChanges.delete( key );
+            }
+        }
+
+        this.changeLog?.prune().catch( error => this.emit( 'error', error ));
+    }
+
+
+    /**
+     * Read the changes that were logged after a sequence number, for example to
+     * catch up a client that reconnects. Requires the changeLog option
+     * @method
+     * @public
+     * @param {Object} [cursor]
+     * @param {Number} [cursor.since=0] - sequence number of the last change the client received
+     * @param {SubscriptionId} [cursor.subscriptionId] - only replay the changes sent to this subscription id, restricted by the access hooks
+     * @returns {AsyncGenerator<Object>} payloads of 'data-changed' events, with their sequence numbers. Without a subscription
+     * id these are the changes as logged, with the relation paths of all subscribers by subscription id (vias) instead of a via
+     */
+
+    replay({ since = 0, subscriptionId } = {} ) {
+
+        if ( ! this.changeLog ) {
+            throw new Error( 'No change log configured' );
+        }
+
+        const changes = this.changeLog.read({ since, subscriptionId });
+
+        if ( subscriptionId === undefined ) {
+            return changes;
+        }
+
+        const changeTracker = this;
+
+        return ( async function*() {
+            for await ( let change of changes ) {
+                for ( let restrictedChange of await changeTracker.#restrictChange({ ...change, subscriptionIds: [ subscriptionId ] })) {
+                    yield* SequelizeChangeTracker.#splitByPath( restrictedChange );
+                }
+            }
+        })();
+    }
+
+
+    /**
+     * Tell the access hooks who is behind a subscription id, for example the user of a connection
+     * @method
+     * @public
+     * @param {SubscriptionId} subscriptionId
+     * @param {any} context - passed to the access hooks as subscriptionContext.context
+     */
+
+    setSubscriptionContext( subscriptionId, context ) {
+        this.#assertNotDestroyed();
+        this.subscriptionContexts.set( subscriptionId, context );
+    }
+
+
+    /**
+     * Find the indices in both registers of a certain subscription
+     * if it exists. The tracker itself looks subscriptions up with store.find,
+     * this takes time linear in the number of subscriptions of the id and resource
+     * @method
+     * @public
+     * @param {GenericSubscriptionObject|SpecificSubscriptionObject} subscriptionObject
+     * @returns {Object<string,number>} indices (sbiIndex and sbrIndex are the indices in the register that is indexed by subscriptionId and resourceId respectively)
+     */
+
+    findSubscriptionIndices({ subscriptionId, modelName, instanceId, generic }) {
+
+        instanceId = this.#normalizeInstanceId( modelName, instanceId );
+
+        const sbiIndex = this.store.findById( subscriptionId )
+            .findIndex( subObj => 
+                subObj.modelName === modelName && ( generic === true ? subObj.generic === true : subObj.instanceId === instanceId )
+            );
+
+        const sbrIndex = this.store.findByResource( modelName, generic === true ? undefined : instanceId ).findIndex( id => id === subscriptionId );
+
+        return { sbiIndex, sbrIndex };
+    }
+
+
+    /**
+     * Remove a specific subscription from the registers
+     * @method
+     * @public
+     * @param {GenericSubscriptionObject|SpecificSubscriptionObject} subscriptionObject
+     * @param {String} [reason="removed"] - reported in the 'subscriptions-changed' event
+     */
+
+    removeSubscription = function({ subscriptionId, modelName, instanceId, generic }, reason = 'removed' ) {
+
+        this.#assertNotDestroyed();
+
+        instanceId = this.#normalizeInstanceId( modelName, instanceId );
+
+        if ( ! this.store.remove({ subscriptionId, modelName, instanceId, generic })) {
+            throw new Error( `Can't find subscription ${subscriptionId} on ${modelName} ${instanceId}` );
+        }
+
+        this.emit( 'subscriptions-changed', { subscriptionId, modelName, instanceId, generic, removed: true, reason });
+    }
+
+
+    /**
+     * Add a subscription to the registers
+     * @method
+     * @param {SpecificSubscriptionObject|GenericSubscriptionObject}
+     */
+
+    addSubscription = function({ modelName, subscriptionId, instanceId, fields, where, cascadeDepth, ttl = this.defaultTtl }) {
+
+        //console.debug( 'Add subscription on', modelName, instanceId === undefined ? 'generic' : instanceId, 'with id', subscriptionId );
+
+        this.#assertNotDestroyed();
+
+        if ( ! this.modelNames.includes( modelName )) {
             throw new Error( 'Unknown model: ' + modelName );
         }
 
         const generic = instanceId === undefined ? true : false;
 
-        const { sbiIndex, sbrIndex } = this.findSubscriptionIndices({ subscriptionId, modelName, instanceId, generic });
+        instanceId = this.#normalizeInstanceId( modelName, instanceId );
 
-        if ( sbiIndex !== -1 ) {
+        if ( this.store.find({ subscriptionId, modelName, instanceId, generic })) {
             throw new Error( 'Already subscribed' );
         }
 
-        if ( ! this.subscriptionsById[ subscriptionId ] ) {
-            this.subscriptionsById[ subscriptionId ] = [];
+        if ( cascadeDepth > this.#maxCascadeDepth ) {
+            this.#maxCascadeDepth = cascadeDepth;
+        }
+
+        this.store.add({
+            subscriptionId,
+            modelName,
+            instanceId,
+            generic,
+            ...this.#filterProperties({ fields, where, cascadeDepth, ttl, expiresAt: ttl === undefined ? undefined : Date.now() + ttl }),
+        });
+
+        this.emit( 'subscriptions-changed', { subscriptionId, modelName, instanceId, generic });
+    }
+
+
+    /**
+     * Add a live query: follow the result set of a query on a model and get
+     * 'live-query-changed' events when instances enter or leave it, or are updated
+     * while in it. See LiveQuery for the supported where clauses
+     * @method
+     * @public
+     * @param {Object} liveQueryObject
+     * @param {ModelName} liveQueryObject.modelName
+     * @param {SubscriptionId} liveQueryObject.subscriptionId
+     * @param {Object} [liveQueryObject.where] - where clause of the query, all instances if left out
+     * @param {Array<InstanceId>} [liveQueryObject.instanceIds] - ids of the instances the query currently finds
+     * @param {Number} [liveQueryObject.ttl] - milliseconds the live query lives without being touched
+     * @throws {Error} if the where clause can't be evaluated in memory
+     */
+
+    addLiveQuery({ modelName, subscriptionId, where, instanceIds = [], ttl = this.defaultTtl }) {
+
+        this.#assertNotDestroyed();
+
+        if ( ! this.modelNames.includes( modelName )) {
+            throw new Error( 'Unknown model: ' + modelName );
+        }
+
+        this.liveQueries[ modelName ].push( new LiveQuery({ subscriptionId, modelName, where, instanceIds, ttl }) );
+
+        this.emit( 'subscriptions-changed', { subscriptionId, modelName, live: true });
+    }
+
+
+    /**
+     * Remove the live queries of a subscription id on a model
+     * @method
+     * @public
+     * @param {Object} liveQueryObject
+     * @param {ModelName} liveQueryObject.modelName
+     * @param {SubscriptionId} liveQueryObject.subscriptionId
+     * @param {String} [reason="removed"] - reported in the 'subscriptions-changed' event
+     */
+
+    removeLiveQuery({ modelName, subscriptionId }, reason = 'removed' ) {
+
+        this.#assertNotDestroyed();
+
+        const liveQueries = this.liveQueries[ modelName ] || [];
+        const remaining = liveQueries.filter( liveQuery => liveQuery.subscriptionId !== subscriptionId );
+
+        if ( remaining.length === liveQueries.length ) {
+            return;
+        }
+
+        this.liveQueries[ modelName ] = remaining;
+
+        this.emit( 'subscriptions-changed', { subscriptionId, modelName, live: true, removed: true, reason });
+    }
+
+
+    /**
+     * Numbers about the subscriptions and the changes sent out since the tracker was created
+     * @method
+     * @public
+     * @param {Object} [options]
+     * @param {Number} [options.top=10] - number of instances listed in hottestInstances
+     * @returns {{
+     *   models: Object<ModelName,{generic: Number, specific: Number, instances: Number, liveQueries: Number}>,
+     *   subscribers: Number,
+     *   hottestInstances: Array<{modelName: ModelName, instanceId: InstanceId, subscriptions: Number}>,
+     *   events: Object<ModelOperation,Number>,
+     *   liveQueryEvents: Object<LiveQueryOperation,Number>,
+     *   eventsTotal: Number,
+     *   eventsPerSecond: Number,
+     *   deliveries: Number,
+     *   averageFanOut: Number,
+     *   uptime: Number
+     * }} uptime in milliseconds, eventsPerSecond and averageFanOut (subscription ids per event) are averages over the uptime
+     */
+
+    stats({ top = 10 } = {} ) {
+
+        const models = {};
+        const instances = [];
+        const subscribers = new Set( this.store.allSubscriptionIds() );
+        const subscriptionsByResource = this.store.subscriptionsByResource;
+
+        for ( let modelName of this.modelNames ) {
+
+            const resources = subscriptionsByResource[ modelName ] || {};
+            const liveQueries = this.liveQueries[ modelName ] || [];
+
+            const modelInstances = Object.entries( resources )
+                .filter( ([ instanceId, subscriptionIds ]) => instanceId !== 'generic' && subscriptionIds.length > 0 )
+                .map( ([ instanceId, subscriptionIds ]) => ({ modelName, instanceId, subscriptions: subscriptionIds.length }) );
+
+            instances.push( ...modelInstances );
+
+            models[ modelName ] = {
+                generic: resources.generic?.length || 0,
+                specific: modelInstances.reduce( ( sum, instance ) => sum + instance.subscriptions, 0 ),
+                instances: modelInstances.length,
+                liveQueries: liveQueries.length,
+            };
+
+            for ( let liveQuery of liveQueries ) {
+                subscribers.add( liveQuery.subscriptionId );
+            }
         }
 
-        if ( generic === true ) {
+        const eventsTotal = [ ...Object.values( this.#counters.events ), ...Object.values( this.#counters.liveQueryEvents ) ]
+            .reduce( ( sum, count ) => sum + count, 0 );
+
+        const uptime = Date.now() - this.#counters.startedAt;
+
+        return {
+            models,
+            subscribers: subscribers.size,
+            hottestInstances: instances.sort( ( a, b ) => b.subscriptions - a.subscriptions ).slice( 0, top ),
+            events: { ...this.#counters.events },
+            liveQueryEvents: { ...this.#counters.liveQueryEvents },
+            eventsTotal,
+            eventsPerSecond: uptime > 0 ? eventsTotal / uptime * 1000 : 0,
+            deliveries: this.#counters.deliveries,
+            averageFanOut: eventsTotal > 0 ? this.#counters.deliveries / eventsTotal : 0,
+            uptime,
+        };
+    }
+
+
+    /**
+     * Get the subscriptions and live queries registered under a subscription id
+     * @method
+     * @public
+     * @param {SubscriptionId} subscriptionId
+     * @returns {Array<Object>} copies of the subscription objects, live queries have live set to true
+     */
+
+    listSubscriptions( subscriptionId ) {
 
-            this.subscriptionsById[ subscriptionId ].push({
+        const liveQueries = Object.values( this.liveQueries ).flat()
+            .filter( liveQuery => liveQuery.subscriptionId === subscriptionId )
+            .map( ({ modelName, where, members, ttl, expiresAt }) => ({
                 modelName,
-                generic: true
-            });
+                live: true,
+                where,
+                size: members.size,
+                ...this.#filterProperties({ ttl, expiresAt }),
+            }));
+
+        return [
+            ...this.store.findById( subscriptionId ).map( subObj => ({ ...subObj })),
+            ...liveQueries,
+        ];
+    }
+
+
+    /**
+     * Serialize the subscriptions, with their filters and expiry times, so another
+     * process (e.g. the next one after a restart) can take them over with importState.
+     * Live queries and subscription contexts are not included. Subscriptions whose where
+     * filter doesn't survive JSON (a function, or values that aren't strings, numbers,
+     * booleans or null, like dates) are left out and reported as dropped
+     * @method
+     * @public
+     * @returns {{state: String, dropped: Array<{entry: Object, reason: String}>}} the state as JSON
+     */
+
+    exportState() {
+
+        this.#assertNotDestroyed();
+
+        const dropped = [];
+
+        const subscriptions = this.store.allSubscriptionIds().flatMap( subscriptionId => this.store.findById( subscriptionId )
+            .map( subObj => ({ subscriptionId, ...subObj }))
+            .filter( entry => {
+
+                const reason = SequelizeChangeTracker.#unserializableWhere( entry.where );
+
+                if ( reason ) {
+                    dropped.push({ entry, reason });
+                }
+
+                return ! reason;
+            })
+        );
 
-            this.subscriptionsByResource[ modelName ].generic.push( subscriptionId );
+        const state = JSON.stringify({ version: SequelizeChangeTracker.#stateVersion, exportedAt: Date.now(), subscriptions });
 
+        return { state, dropped };
+    }
+
+
+    /**
+     * Check whether a where filter can be exported as JSON and read back unchanged
+     * @private
+     * @static
+     * @method
+     * @param {SubscriptionWhere} [where]
+     * @returns {String|null} why it can't, null if it can
+     */
+
+    static #unserializableWhere( where ) {
+
+        if ( typeof where === 'function' ) {
+            return 'Function where';
         }
-        else {
 
-            this.subscriptionsById[ subscriptionId ].push({
+        const isPrimitive = value => value === null || [ 'string', 'number', 'boolean' ].includes( typeof value );
+
+        const isSerializable = ! where || Object.values( where ).every( value => Array.isArray( value ) ? value.every( isPrimitive ) : isPrimitive( value ));
+
+        return isSerializable ? null : 'Unserializable where value';
+    }
+
+
+    /**
+     * Register the subscriptions of an exported state. Entries that are invalid, on
+     * models this tracker doesn't track, expired or already registered are dropped
+     * @method
+     * @public
+     * @param {String|Object} state - the state returned by exportState, or parsed
+     * @returns {{imported: Number, dropped: Array<{entry: any, reason: String}>}}
+     * @throws {Error} if the state is not an exported state
+     */
+
+    importState( state ) {
+
+        this.#assertNotDestroyed();
+
+        if ( typeof state === 'string' ) {
+            state = JSON.parse( state );
+        }
+
+        if ( state?.version !== SequelizeChangeTracker.#stateVersion || ! Array.isArray( state.subscriptions )) {
+            throw new Error( 'Invalid subscription state' );
+        }
+
+        const now = Date.now();
+        const dropped = [];
+        let imported = 0;
+
+        for ( let entry of state.subscriptions ) {
+
+            const reason = this.#validateStateEntry( entry, now );
+
+            if ( reason ) {
+                dropped.push({ entry, reason });
+                continue;
+            }
+
+            const { subscriptionId, modelName, instanceId, generic, fields, where, cascadeDepth, ttl, expiresAt } = entry;
+
+            if ( cascadeDepth > this.#maxCascadeDepth ) {
+                this.#maxCascadeDepth = cascadeDepth;
+            }
+
+            this.store.add({
+                subscriptionId,
                 modelName,
-                instanceId
+                instanceId: generic === true ? undefined : instanceId,
+                generic: generic === true,
+                ...this.#filterProperties({ fields, where, cascadeDepth, ttl, expiresAt }),
             });
 
-            if ( ! Array.isArray( this.subscriptionsByResource[ modelName ][ instanceId ] )) {
-                this.subscriptionsByResource[ modelName ][ instanceId ] = [];
-            }
+            imported++;
 
-            this.subscriptionsByResource[ modelName ][ instanceId ].push( subscriptionId );
+            this.emit( 'subscriptions-changed', { subscriptionId, modelName, instanceId: generic === true ? undefined : instanceId, generic: generic === true, imported: true });
         }
 
-        this.emit( 'subscriptions-changed', { subscriptionId, modelName, instanceId, generic });
+        return { imported, dropped };
     }
 
 
-    destroy() {
-        // unlink etc
+    /**
+     * Check an entry of an exported state
+     * @private
+     * @method
+     * @param {any} entry
+     * @param {Number} now - time of the import
+     * @returns {String|null} why the entry can't be imported, null if it can
+     */
+
+    #validateStateEntry( entry, now ) {
+
+        const isId = value => typeof value === 'string' || typeof value === 'number';
+        const isNumber = value => value === undefined || typeof value === 'number';
+
+        if ( entry === null || typeof entry !== 'object' || Array.isArray( entry )) {
+            return 'Invalid entry';
+        }
+
+        const { subscriptionId, modelName, instanceId, generic, fields, where, cascadeDepth, ttl, expiresAt } = entry;
+
+        if ( ! isId( subscriptionId )) {
+            return 'Invalid subscription id';
+        }
+
+        if ( ! this.modelNames.includes( modelName )) {
+            return `Unknown model: ${modelName}`;
+        }
+
+        if ( generic !== true && ! isId( instanceId )) {
+            return 'Invalid instance id';
+        }
+
+        if ( fields !== undefined && ! ( Array.isArray( fields ) && fields.every( field => typeof field === 'string' ))) {
+            return 'Invalid fields';
+        }
+
+        if ( where !== undefined && ( where === null || typeof where !== 'object' || Array.isArray( where ))) {
+            return 'Invalid where';
+        }
+
+        if ( ! isNumber( cascadeDepth ) || ! isNumber( ttl ) || ! isNumber( expiresAt )) {
+            return 'Invalid cascade depth or expiry';
+        }
+
+        if ( expiresAt !== undefined && expiresAt <= now ) {
+            return 'Expired';
+        }
+
+        if ( this.store.find({ subscriptionId, modelName, instanceId, generic: generic === true })) {
+            return 'Already subscribed';
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Subscribe and get the changes of the subscription through a handle, that can be
+     * iterated (for await ... of) and emits 'change' events. Closing the handle
+     * removes the subscriptions of its subscription id
+     * @method
+     * @public
+     * @param {Object} subscription
+     * @param {ModelName} subscription.modelName
+     * @param {InstanceId} [subscription.instanceId] - leave out for a generic subscription
+     * @param {SubscriptionId} [subscription.subscriptionId] - a new one if left out
+     * @param {Array<FieldName>} [subscription.fields]
+     * @param {SubscriptionWhere} [subscription.where]
+     * @param {Number} [subscription.cascadeDepth]
+     * @param {Number} [subscription.ttl]
+     * @param {Number} [subscription.bufferSize=1000] - maximum number of changes waiting to be iterated
+     * @param {OverflowStrategy} [subscription.overflow="drop-oldest"] - what to do with changes that don't fit the buffer
+     * @returns {SubscriptionHandle}
+     */
+
+    subscribe({ subscriptionId = randomUUID(), bufferSize, overflow, ...subscription }) {
+
+        this.#assertNotDestroyed();
+
+        if ( this.#handles.has( subscriptionId )) {
+            throw new Error( 'Subscription id already has a handle' );
+        }
+
+        this.addSubscription({ subscriptionId, ...subscription });
+
+        const handle = new SubscriptionHandle({ tracker: this, subscriptionId, bufferSize, overflow });
+
+        this.#handles.set( subscriptionId, handle );
+
+        handle.once( 'close', () => this.#handles.delete( subscriptionId ));
+
+        return handle;
     }
 
 
+    /**
+     * Detach the tracker from its models: remove all hooks, clear the
+     * registers, emit a final 'destroyed' event and remove all listeners.
+     * Changing subscriptions afterwards throws an error
+     * @method
+     * @public
+     */
+
+    destroy() {
+
+        if ( this.destroyed ) {
+            return;
+        }
+
+        for ( let { model, hookType } of this.#registeredHooks ) {
+            model.removeHook( hookType, this.hookName );
+        }
+
+        this.#registeredHooks = [];
+
+        clearInterval( this.#sweepTimer );
+
+        if ( this.batch ) {
+            this.flush();
+        }
+
+        this.store.clear();
+        this.store.close?.();
 
+        this.liveQueries = {};
 
+        this.subscriptionContexts.clear();
+
+        this.capture?.close().catch( error => this.emit( 'error', error ));
+
+        this.#hookChanges.clear();
+
+        this.destroyed = true;
+
+        // the subscriptions of the handles are gone already
+
+        for ( let handle of [ ...this.#handles.values() ] ) {
+            handle.close();
+        }
+
+        this.emit( 'destroyed' );
+
+        this.removeAllListeners();
+    }
 }
 
 
 export default SequelizeChangeTracker;
+
+export { MemorySubscriptionStore, RedisSubscriptionStore, InProcessPubSub } from './subscription-store.js';
+
+export { ChangeTransport } from './transport.js';
+
+export { LiveQuery } from './live-query.js';
+
+export { ChangeLog } from './change-log.js';
+
+export { SubscriptionHandle } from './subscription-handle.js';
+
+export { prometheusMetrics } from './metrics.js';
+
+export { TriggerCapture } from './trigger-capture.js';
@@ -0,0 +1,318 @@
+import { Op } from 'sequelize';
+
+/**
+ * The name of a Sequelize model
+ * @typedef {String} ModelName
+ */
+
+/**
+ * The id of an instance (Sequelize representation of a database table row)
+ * @typedef {String} InstanceId
+ */
+
+/**
+ * The id of a subscription
+ * @typedef {String} SubscriptionId
+ */
+
+/**
+ * Change of the result set of a live query
+ * @typedef {"enter"|"leave"|"update"} LiveQueryOperation
+ */
+
+
+/**
+ * Compare two values, dates are compared by time. Null, undefined and values
+ * of different types can't be compared, so they pass no comparison
+ * @param {any} a
+ * @param {any} b
+ * @returns {Number} negative, 0 or positive, NaN if the values can't be compared
+ */
+
+const compare = ( a, b ) => {
+
+    if ( a === null || a === undefined || b === null || b === undefined ) {
+        return NaN;
+    }
+
+    if ( a instanceof Date || b instanceof Date ) {
+        a = new Date( a ).getTime();
+        b = new Date( b ).getTime();
+    }
+
+    if ( typeof a !== typeof b ) {
+        return NaN;
+    }
+
+    return a < b ? -1 : a > b ? 1 : a === b ? 0 : NaN;
+};
+
+
+/**
+ * Check a value against a LIKE pattern
+ * @param {String} value
+ * @param {String} pattern - with % and _ wildcards
+ * @param {Boolean} [caseInsensitive=false]
+ * @returns {Boolean}
+ */
+
+const like = ( value, pattern, caseInsensitive = false ) => {
+
+    if ( value === null || value === undefined ) {
+        return false;
+    }
+
+    const source = String( pattern )
+        .replace( /[.*+?^${}()|[\]\\]/g, '\\$&' )
+        .replace( /%/g, '.*' )
+        .replace( /_/g, '.' );
+
+    return new RegExp( `^${source}$`, caseInsensitive ? 'is' : 's' ).test( String( value ));
+};
+
+
+/**
+ * Operators that can be evaluated in memory, by the value of the field and the operand
+ * @type {Map<Symbol,Function>}
+ */
+
+const operators = new Map([
+    [ Op.eq, ( value, operand ) => operand === null ? value === null || value === undefined : compare( value, operand ) === 0 ],
+    [ Op.ne, ( value, operand ) => operand === null ? value !== null && value !== undefined : value !== null && value !== undefined && compare( value, operand ) !== 0 ],
+    [ Op.is, ( value, operand ) => operand === null ? value === null || value === undefined : value === operand ],
+    [ Op.not, ( value, operand ) => operand === null || typeof operand === 'boolean' ? ! operators.get( Op.is )( value, operand ) : operators.get( Op.ne )( value, operand ) ],
+    [ Op.gt, ( value, operand ) => value !== null && value !== undefined && compare( value, operand ) > 0 ],
+    [ Op.gte, ( value, operand ) => value !== null && value !== undefined && compare( value, operand ) >= 0 ],
+    [ Op.lt, ( value, operand ) => value !== null && value !== undefined && compare( value, operand ) < 0 ],
+    [ Op.lte, ( value, operand ) => value !== null && value !== undefined && compare( value, operand ) <= 0 ],
+    [ Op.between, ( value, [ from, to ] ) => value !== null && value !== undefined && compare( value, from ) >= 0 && compare( value, to ) <= 0 ],
+    [ Op.notBetween, ( value, [ from, to ] ) => value !== null && value !== undefined && ( compare( value, from ) < 0 || compare( value, to ) > 0 ) ],
+    [ Op.in, ( value, operand ) => operand.some( element => element !== null && compare( value, element ) === 0 ) ],
+    [ Op.notIn, ( value, operand ) => value !== null && value !== undefined && ! operand.some( element => compare( value, element ) === 0 ) ],
+    [ Op.like, ( value, operand ) => like( value, operand ) ],
+    [ Op.notLike, ( value, operand ) => value !== null && value !== undefined && ! like( value, operand ) ],
+    [ Op.iLike, ( value, operand ) => like( value, operand, true ) ],
+    [ Op.notILike, ( value, operand ) => value !== null && value !== undefined && ! like( value, operand, true ) ],
+    [ Op.startsWith, ( value, operand ) => value !== null && value !== undefined && String( value ).startsWith( operand ) ],
+    [ Op.endsWith, ( value, operand ) => value !== null && value !== undefined && String( value ).endsWith( operand ) ],
+    [ Op.substring, ( value, operand ) => value !== null && value !== undefined && String( value ).includes( operand ) ],
+]);
+
+
+/**
+ * Check whether a value is a plain object (and not a date, array or Sequelize fn / col / literal)
+ * @param {any} value
+ * @returns {Boolean}
+ */
+
+const isPlainObject = value => {
+
+    if ( value === null || typeof value !== 'object' ) {
+        return false;
+    }
+
+    const prototype = Object.getPrototypeOf( value );
+
+    return prototype === Object.prototype || prototype === null;
+};
+
+
+/**
+ * Turn the conditions on one field into a predicate on its value
+ * @param {String} field
+ * @param {any} condition
+ * @returns {Function}
+ */
+
+const compileCondition = ( field, condition ) => {
+
+    if ( Array.isArray( condition )) {
+        return compileCondition( field, { [ Op.in ]: condition } );
+    }
+
+    if ( condition instanceof Date || condition === null || typeof condition !== 'object' ) {
+        return compileCondition( field, { [ Op.eq ]: condition } );
+    }
+
+    if ( ! isPlainObject( condition ) || Object.keys( condition ).length > 0 ) {
+        throw new Error( `Unsupported condition in live query on ${field}` );
+    }
+
+    const predicates = Object.getOwnPropertySymbols( condition ).map( operator => {
+
+        if ( operator === Op.and || operator === Op.or ) {
+            const conditions = ( Array.isArray( condition[ operator ] ) ? condition[ operator ] : [ condition[ operator ] ] )
+                .map( c => compileCondition( field, c ));
+            return operator === Op.and
+                ? value => conditions.every( predicate => predicate( value ))
+                : value => conditions.some( predicate => predicate( value ));
+        }
+
+        if ( ! operators.has( operator )) {
+            throw new Error( `Unsupported operator in live query: ${operator.description}` );
+        }
+
+        const operand = condition[ operator ];
+
+        if ( operand !== null && typeof operand === 'object' && ! ( operand instanceof Date ) && ! Array.isArray( operand )) {
+            throw new Error( `Unsupported operand in live query on ${field}` );
+        }
+
+        const evaluate = operators.get( operator );
+
+        return value => evaluate( value, operand );
+    });
+
+    return value => predicates.every( predicate => predicate( value ));
+};
+
+
+/**
+ * Turn a where clause into a predicate on the data values of an instance
+ * @param {Object} where - Sequelize where clause
+ * @returns {Function}
+ * @throws {Error} if the where clause uses something that can't be evaluated in memory
+ */
+
+const compileWhere = where => {
+
+    if ( where === undefined || where === null ) {
+        return () => true;
+    }
+
+    if ( ! isPlainObject( where )) {
+        throw new Error( 'Unsupported where clause in live query' );
+    }
+
+    const predicates = [
+        ...Object.keys( where ).map( field => {
+
+            // conditions on included models
+
+            if ( field.startsWith( '$' )) {
+                throw new Error( `Unsupported field in live query: ${field}` );
+            }
+
+            const predicate = compileCondition( field, where[ field ] );
+
+            return data => predicate( data[ field ] );
+        }),
+        ...Object.getOwnPropertySymbols( where ).map( operator => {
+
+            if ( operator !== Op.and && operator !== Op.or && operator !== Op.not ) {
+                throw new Error( `Unsupported operator in live query: ${operator.description}` );
+            }
+
+            const clauses = ( Array.isArray( where[ operator ] ) ? where[ operator ] : [ where[ operator ] ] ).map( compileWhere );
+
+            if ( operator === Op.or ) {
+                return data => clauses.some( predicate => predicate( data ));
+            }
+
+            if ( operator === Op.not ) {
+                return data => ! clauses.every( predicate => predicate( data ));
+            }
+
+            return data => clauses.every( predicate => predicate( data ));
+        }),
+    ];
+
+    return data => predicates.every( predicate => predicate( data ));
+};
+
+
+/**
+ * @class
+ * The result set of a find, kept up to date in memory. The where clause of the
+ * query is evaluated against changed instances, so it supports the operators that
+ * can be evaluated without the database: eq, ne, is, not, gt, gte, lt, lte, between,
+ * notBetween, in, notIn, like, notLike, iLike, notILike, startsWith, endsWith,
+ * substring, and, or. Other operators, conditions on included models and
+ * Sequelize fn / col / literal values are refused.
+ */
+
+export class LiveQuery {
+
+    /**
+     * @constructor
+     * @param {Object} config
+     * @param {SubscriptionId} config.subscriptionId
+     * @param {ModelName} config.modelName
+     * @param {Object} [config.where] - where clause of the query
+     * @param {Iterable<InstanceId>} [config.instanceIds] - ids of the instances the query found
+     * @param {Number} [config.ttl] - milliseconds the live query lives without being touched
+     * @throws {Error} if the where clause can't be evaluated in memory
+     */
+
+    constructor({ subscriptionId, modelName, where, instanceIds = [], ttl }) {
+
+        this.subscriptionId = subscriptionId;
+        this.modelName = modelName;
+        this.where = where;
+        this.members = new Set( instanceIds );
+        this.ttl = ttl;
+        this.expiresAt = ttl === undefined ? undefined : Date.now() + ttl;
+
+        this.#predicate = compileWhere( where );
+    }
+
+
+    /**
+     * Ids of the instances in the result set
+     * @type {Set<InstanceId>}
+     */
+
+    members = null;
+
+
+    /**
+     * @private
+     * @type {Function}
+     */
+
+    #predicate = null;
+
+
+    /**
+     * Check whether an instance matches the where clause
+     * @method
+     * @param {Object<String,any>} instanceData
+     * @returns {Boolean}
+     */
+
+    matches( instanceData ) {
+        return this.#predicate( instanceData );
+    }
+
+
+    /**
+     * Update the result set for a change of an instance
+     * @method
+     * @param {InstanceId} instanceId
+     * @param {Object<String,any>|null} instanceData - null if the instance is gone
+     * @returns {LiveQueryOperation|null} how the result set changed, null if it didn't
+     */
+
+    apply( instanceId, instanceData ) {
+
+        const wasMember = this.members.has( instanceId );
+        const isMember = instanceData !== null && this.matches( instanceData );
+
+        if ( isMember ) {
+            this.members.add( instanceId );
+        }
+        else {
+            this.members.delete( instanceId );
+        }
+
+        if ( wasMember && isMember ) {
+            return 'update';
+        }
+
+        if ( wasMember !== isMember ) {
+            return isMember ? 'enter' : 'leave';
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Escape a Prometheus label value
+ * @param {any} value
+ * @returns {String}
+ */
+
+const escapeLabel = value => String( value ).replace( /\\/g, '\\\\' ).replace( /"/g, '\\"' ).replace( /\n/g, '\\n' );
+
+
+/**
+ * Render one metric with its help and type lines
+ * @param {String} name
+ * @param {"gauge"|"counter"} type
+ * @param {String} help
+ * @param {Array<[Object<String,any>,Number]>} samples - labels and value
+ * @returns {String}
+ */
+
+const renderMetric = ( name, type, help, samples ) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map( ([ labels, value ]) => {
+        const labelText = Object.entries( labels ).map( ([ label, labelValue ]) => `${label}="${escapeLabel( labelValue )}"` ).join( ',' );
+        return `${name}${labelText ? `{${labelText}}` : ''} ${value}`;
+    }),
+].join( '\n' );
+
+
+/**
+ * Render the stats of a tracker in the Prometheus text exposition format,
+ * for example to serve them on a /metrics endpoint
+ * @param {SequelizeChangeTracker} tracker
+ * @param {Object} [options]
+ * @param {String} [options.prefix="sequelize_change_tracker"] - prefix of the metric names
+ * @returns {String}
+ */
+
+export const prometheusMetrics = ( tracker, { prefix = 'sequelize_change_tracker' } = {} ) => {
+
+    const stats = tracker.stats();
+
+    const subscriptionSamples = Object.entries( stats.models ).flatMap( ([ model, counts ]) => [
+        [ { model, kind: 'generic' }, counts.generic ],
+        [ { model, kind: 'specific' }, counts.specific ],
+        [ { model, kind: 'live' }, counts.liveQueries ],
+    ]);
+
+    return [
+        renderMetric( `${prefix}_subscriptions`, 'gauge', 'Number of subscriptions per model and kind', subscriptionSamples ),
+        renderMetric( `${prefix}_subscribed_instances`, 'gauge', 'Number of instances with specific subscriptions per model',
+            Object.entries( stats.models ).map( ([ model, counts ]) => [ { model }, counts.instances ] )),
+        renderMetric( `${prefix}_subscribers`, 'gauge', 'Number of distinct subscription ids', [ [ {}, stats.subscribers ] ] ),
+        renderMetric( `${prefix}_events_total`, 'counter', 'Number of changes emitted per operation',
+            Object.entries( stats.events ).map( ([ operation, count ]) => [ { operation }, count ] )),
+        renderMetric( `${prefix}_live_query_events_total`, 'counter', 'Number of live query changes emitted per operation',
+            Object.entries( stats.liveQueryEvents ).map( ([ operation, count ]) => [ { operation }, count ] )),
+        renderMetric( `${prefix}_deliveries_total`, 'counter', 'Number of subscription ids changes were emitted to', [ [ {}, stats.deliveries ] ] ),
+    ].join( '\n' ) + '\n';
+};
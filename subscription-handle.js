@@ -0,0 +1,202 @@
+import { EventEmitter } from 'node:events';
+
+/**
+ * The id of a subscription
+ * @typedef {String} SubscriptionId
+ */
+
+/**
+ * What to do with a change that arrives while the buffer is full.
+ * "drop-oldest" and "drop-newest" drop a change and emit 'overflow' with it,
+ * "error" closes the handle with an error
+ * @typedef {"drop-oldest"|"drop-newest"|"error"} OverflowStrategy
+ */
+
+
+/**
+ * @class
+ * The changes of one subscription id, as returned by SequelizeChangeTracker.subscribe.
+ * Changes are emitted as 'change' events and buffered for async iteration
+ * (for await ... of handle), so changes that arrive before the iteration starts or
+ * while the consumer is busy are not lost. The buffer has a limit, see OverflowStrategy.
+ *
+ * Closing the handle, or leaving a for await loop, removes the subscriptions of
+ * its subscription id from the tracker. Emits 'close' once closed, and 'error' if
+ * the buffer overflows with the "error" strategy.
+ */
+
+export class SubscriptionHandle extends EventEmitter {
+
+    /**
+     * @constructor
+     * @param {Object} config
+     * @param {SequelizeChangeTracker} config.tracker
+     * @param {SubscriptionId} config.subscriptionId
+     * @param {Number} [config.bufferSize=1000] - maximum number of changes waiting to be iterated
+     * @param {OverflowStrategy} [config.overflow="drop-oldest"]
+     */
+
+    constructor({ tracker, subscriptionId, bufferSize = 1000, overflow = 'drop-oldest' }) {
+
+        super();
+
+        this.tracker = tracker;
+        this.subscriptionId = subscriptionId;
+        this.bufferSize = bufferSize;
+        this.overflow = overflow;
+    }
+
+
+    /**
+     * Changes waiting to be iterated
+     * @type {Array<Object>}
+     */
+
+    buffer = [];
+
+
+    /** @type {Boolean} */
+
+    closed = false;
+
+
+    /**
+     * Error the handle was closed with, thrown by the iterator
+     * @private
+     * @type {Error|null}
+     */
+
+    #error = null;
+
+
+    /**
+     * Promise callbacks of iterators waiting for a change
+     * @private
+     * @type {Array<{resolve: Function, reject: Function}>}
+     */
+
+    #waiting = [];
+
+
+    /**
+     * Deliver a change to the handle, called by the tracker
+     * @method
+     * @param {Object} change - payload of a 'data-changed' or 'live-query-changed' event
+     */
+
+    push( change ) {
+
+        if ( this.closed ) {
+            return;
+        }
+
+        this.emit( 'change', change );
+
+        if ( this.#waiting.length > 0 ) {
+            this.#waiting.shift().resolve({ value: change, done: false });
+            return;
+        }
+
+        if ( this.buffer.length >= this.bufferSize ) {
+
+            if ( this.overflow === 'error' ) {
+                this.close( new Error( `Buffer of subscription ${this.subscriptionId} overflowed` ));
+                return;
+            }
+
+            const dropped = this.overflow === 'drop-newest' ? change : this.buffer.shift();
+
+            if ( dropped !== change ) {
+                this.buffer.push( change );
+            }
+
+            this.emit( 'overflow', dropped );
+            return;
+        }
+
+        this.buffer.push( change );
+    }
+
+
+    /**
+     * Get the next change, waits for one if the buffer is empty
+     * @method
+     * @returns {Promise<{value: Object, done: Boolean}>}
+     */
+
+    next() {
+
+        if ( this.buffer.length > 0 ) {
+            return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+
+        if ( this.#error ) {
+            return Promise.reject( this.#error );
+        }
+
+        if ( this.closed ) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+
+        return new Promise( ( resolve, reject ) => this.#waiting.push({ resolve, reject }));
+    }
+
+
+    /**
+     * Called when a for await loop is left, closes the handle
+     * @method
+     * @returns {Promise<{value: undefined, done: true}>}
+     */
+
+    async return() {
+        this.close();
+        return { value: undefined, done: true };
+    }
+
+
+    /**
+     * @method
+     * @returns {SubscriptionHandle}
+     */
+
+    [ Symbol.asyncIterator ]() {
+        return this;
+    }
+
+
+    /**
+     * Stop receiving changes and remove the subscriptions of the subscription id.
+     * Changes still in the buffer can be iterated
+     * @method
+     * @param {Error} [error] - thrown by the iterator once the buffer is empty, and emitted
+     */
+
+    close( error ) {
+
+        if ( this.closed ) {
+            return;
+        }
+
+        this.closed = true;
+        this.#error = error || null;
+
+        if ( ! this.tracker.destroyed ) {
+            this.tracker.removeSubscriptionAllModels( this.subscriptionId, 'closed' );
+        }
+
+        for ( let { resolve, reject } of this.#waiting.splice( 0 )) {
+            if ( error ) {
+                reject( error );
+            }
+            else {
+                resolve({ value: undefined, done: true });
+            }
+        }
+
+        if ( error && this.listenerCount( 'error' ) > 0 ) {
+            this.emit( 'error', error );
+        }
+
+        this.emit( 'close' );
+    }
+}
@@ -0,0 +1,510 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * The name of a Sequelize model
+ * @typedef {String} ModelName
+ */
+
+/**
+ * The id of an instance (Sequelize representation of a database table row)
+ * @typedef {String} InstanceId
+ */
+
+/**
+ * The id of a subscription
+ * @typedef {String} SubscriptionId
+ */
+
+/**
+ * Object describing a subscription, as passed to the store. Generic subscriptions
+ * have generic set to true, specific subscriptions have an instanceId. Any other
+ * properties (filters etc) are stored along with it
+ * @typedef {Object} StoredSubscriptionObject
+ * @property {SubscriptionId} subscriptionId
+ * @property {ModelName} modelName
+ * @property {InstanceId} [instanceId]
+ * @property {Boolean} [generic]
+ */
+
+/**
+ * Listener for changes published by other processes
+ * @callback RelayListener
+ * @param {Object} operationData - see SequelizeChangeTracker.notifySubscribers
+ */
+
+
+/**
+ * Key of the generic subscriptions in the register by resource
+ * @type {Symbol}
+ */
+
+const GENERIC = Symbol( 'generic' );
+
+
+/**
+ * @class
+ * Default subscription store, keeps both registers in memory. The registers are
+ * indexed with maps and sets, so adding, removing and looking up a subscription
+ * takes constant time. subscriptionsByResource and subscriptionsById are plain
+ * object views of the registers, built when read.
+ *
+ * A store has to implement registerModel, add, remove, find, findByResource, findById,
+ * setExpiry, allSubscriptionIds, hasInstanceSubscriptions, prune and clear. The objects
+ * returned by find and findById may be copies, changes go through the store. Stores that share
+ * changes between processes also implement publish, onRelay and close.
+ */
+
+export class MemorySubscriptionStore {
+
+    /**
+     * Subscription ids by model and instance id (as string), or GENERIC
+     * @private
+     * @type {Map<ModelName,Map<String|Symbol,Set<SubscriptionId>>>}
+     */
+
+    #resources = new Map();
+
+
+    /**
+     * Subscription objects by subscription id and resource key
+     * @private
+     * @type {Map<SubscriptionId,Map<String,Object>>}
+     */
+
+    #subscriptions = new Map();
+
+
+    /**
+     * One of two ways in which the store registers subscriptions.
+     * This register is indexed by ModelName+InstanceId, or ModelName+"generic"
+     * if the subscription is for generic events
+     * @type {Object<ModelName,<InstanceId|"generic",Array<SubscriptionId>>}
+     */
+
+    get subscriptionsByResource() {
+        return Object.fromEntries( [ ...this.#resources ].map( ([ modelName, resources ]) => [
+            modelName,
+            Object.fromEntries( [ ...resources ].map( ([ key, subscriptionIds ]) => [ key === GENERIC ? 'generic' : key, [ ...subscriptionIds ] ] )),
+        ]));
+    }
+
+
+    /**
+     * One of two ways in which the store registers subscriptions.
+     * This register is indexed by SubscriptionId
+     * @type {Object<SubscriptionId,Array<Object>>}
+     */
+
+    get subscriptionsById() {
+        return Object.fromEntries( [ ...this.#subscriptions ].map( ([ subscriptionId, subscriptions ]) => [ subscriptionId, [ ...subscriptions.values() ] ] ));
+    }
+
+
+    /**
+     * Key of a resource in the register by resource
+     * @private
+     * @static
+     * @method
+     * @param {InstanceId} [instanceId] - leave out for generic subscriptions
+     * @returns {String|Symbol}
+     */
+
+    static #resourceKey( instanceId ) {
+        return instanceId === undefined ? GENERIC : String( instanceId );
+    }
+
+
+    /**
+     * Key of a subscription in the register by id
+     * @private
+     * @static
+     * @method
+     * @param {ModelName} modelName
+     * @param {InstanceId} [instanceId] - leave out for generic subscriptions
+     * @returns {String}
+     */
+
+    static #subscriptionKey( modelName, instanceId ) {
+        return instanceId === undefined ? `${modelName}\n` : `${modelName}\n${instanceId}`;
+    }
+
+
+    /**
+     * Create a basic entry in the "subscriptions by resource" register
+     * @method
+     * @param {ModelName} modelName
+     */
+
+    registerModel( modelName ) {
+        if ( ! this.#resources.has( modelName )) {
+            this.#resources.set( modelName, new Map([ [ GENERIC, new Set() ] ]));
+        }
+    }
+
+
+    /**
+     * Add a subscription to both registers
+     * @method
+     * @param {StoredSubscriptionObject} subscriptionObject
+     */
+
+    add({ subscriptionId, modelName, instanceId, generic, ...properties }) {
+
+        if ( generic === true ) {
+            instanceId = undefined;
+        }
+
+        if ( ! this.#subscriptions.has( subscriptionId )) {
+            this.#subscriptions.set( subscriptionId, new Map() );
+        }
+
+        this.#subscriptions.get( subscriptionId ).set(
+            MemorySubscriptionStore.#subscriptionKey( modelName, instanceId ),
+            generic === true ? { modelName, generic: true, ...properties } : { modelName, instanceId, ...properties }
+        );
+
+        this.registerModel( modelName );
+
+        const resources = this.#resources.get( modelName );
+        const key = MemorySubscriptionStore.#resourceKey( instanceId );
+
+        if ( ! resources.has( key )) {
+            resources.set( key, new Set() );
+        }
+
+        resources.get( key ).add( subscriptionId );
+    }
+
+
+    /**
+     * Remove a subscription from both registers
+     * @method
+     * @param {StoredSubscriptionObject} subscriptionObject
+     * @returns {Boolean} false if the subscription wasn't found
+     */
+
+    remove({ subscriptionId, modelName, instanceId, generic }) {
+
+        if ( generic === true ) {
+            instanceId = undefined;
+        }
+
+        const subscriptionIds = this.#resources.get( modelName )?.get( MemorySubscriptionStore.#resourceKey( instanceId ));
+
+        if ( ! subscriptionIds?.has( subscriptionId ) || ! this.#subscriptions.get( subscriptionId )?.delete( MemorySubscriptionStore.#subscriptionKey( modelName, instanceId ))) {
+            return false;
+        }
+
+        subscriptionIds.delete( subscriptionId );
+
+        return true;
+    }
+
+
+    /**
+     * Get the subscription object of a subscription id on a resource
+     * @method
+     * @param {StoredSubscriptionObject} subscriptionObject
+     * @returns {Object|undefined}
+     */
+
+    find({ subscriptionId, modelName, instanceId, generic }) {
+        return this.#subscriptions.get( subscriptionId )?.get( MemorySubscriptionStore.#subscriptionKey( modelName, generic === true ? undefined : instanceId ));
+    }
+
+
+    /**
+     * Get the ids of the subscriptions on a resource
+     * @method
+     * @param {ModelName} modelName
+     * @param {InstanceId} [instanceId] - leave out for generic subscriptions
+     * @returns {Array<SubscriptionId>}
+     */
+
+    findByResource( modelName, instanceId ) {
+
+        const subscriptionIds = this.#resources.get( modelName )?.get( MemorySubscriptionStore.#resourceKey( instanceId ));
+
+        return subscriptionIds ? [ ...subscriptionIds ] : [];
+    }
+
+
+    /**
+     * Get the subscription objects registered under a subscription id
+     * @method
+     * @param {SubscriptionId} subscriptionId
+     * @returns {Array<Object>}
+     */
+
+    findById( subscriptionId ) {
+
+        const subscriptions = this.#subscriptions.get( subscriptionId );
+
+        return subscriptions ? [ ...subscriptions.values() ] : [];
+    }
+
+
+    /**
+     * Set the time a subscription expires
+     * @method
+     * @param {StoredSubscriptionObject} subscriptionObject
+     * @param {Number} expiresAt - timestamp in milliseconds
+     * @returns {Boolean} false if the subscription wasn't found
+     */
+
+    setExpiry({ subscriptionId, modelName, instanceId, generic }, expiresAt ) {
+
+        const subscription = this.#subscriptions.get( subscriptionId )?.get( MemorySubscriptionStore.#subscriptionKey( modelName, generic === true ? undefined : instanceId ));
+
+        if ( ! subscription ) {
+            return false;
+        }
+
+        subscription.expiresAt = expiresAt;
+
+        return true;
+    }
+
+
+    /**
+     * Get the ids of all registered subscriptions
+     * @method
+     * @returns {Array<SubscriptionId>}
+     */
+
+    allSubscriptionIds() {
+        return [ ...this.#subscriptions ].filter( ([ , subscriptions ]) => subscriptions.size > 0 ).map( ([ subscriptionId ]) => subscriptionId );
+    }
+
+
+    /**
+     * Check whether there are subscriptions on specific instances of a model
+     * @method
+     * @param {ModelName} modelName
+     * @returns {Boolean}
+     */
+
+    hasInstanceSubscriptions( modelName ) {
+        return ( this.#resources.get( modelName )?.size || 0 ) > 1;
+    }
+
+
+    /**
+     * Remove the entries of both registers that no longer hold subscriptions
+     * @method
+     */
+
+    prune() {
+
+        for ( let [ subscriptionId, subscriptions ] of this.#subscriptions ) {
+            if ( subscriptions.size === 0 ) {
+                this.#subscriptions.delete( subscriptionId );
+            }
+        }
+
+        for ( let resources of this.#resources.values() ) {
+            for ( let [ key, subscriptionIds ] of resources ) {
+                if ( key !== GENERIC && subscriptionIds.size === 0 ) {
+                    resources.delete( key );
+                }
+            }
+        }
+    }
+
+
+    /**
+     * Empty both registers
+     * @method
+     */
+
+    clear() {
+        this.#subscriptions = new Map();
+        this.#resources = new Map();
+    }
+}
+
+
+/**
+ * @class
+ * Subscription store for deployments with multiple processes. Subscriptions
+ * are kept in memory, as they belong to the connections of this process, while
+ * changes are relayed to all processes through a pub/sub channel. Each process
+ * then delivers them to its own subscribers.
+ *
+ * Works with node-redis (v4) clients, or anything with the same publish,
+ * subscribe and unsubscribe methods, like InProcessPubSub. Note that the subscriber
+ * needs a connection of its own. Instance data is serialized as JSON on the way,
+ * so dates arrive in other processes as strings.
+ */
+
+export class RedisSubscriptionStore extends MemorySubscriptionStore {
+
+    /**
+     * @constructor
+     * @param {Object} config
+     * @param {Object} config.publisher - client used to publish changes
+     * @param {Object} config.subscriber - client used to receive changes
+     * @param {String} [config.channel="sequelize-change-tracker"] - pub/sub channel
+     */
+
+    constructor({ publisher, subscriber, channel = 'sequelize-change-tracker' }) {
+
+        super();
+
+        this.publisher = publisher;
+        this.subscriber = subscriber;
+        this.channel = channel;
+
+        this.ready = Promise.resolve( this.subscriber.subscribe( this.channel, this.#messageListener ));
+    }
+
+
+    /**
+     * Identifies the messages of this store, so it can skip its own
+     * @type {String}
+     */
+
+    origin = randomUUID();
+
+
+    /**
+     * Resolves once the subscriber listens to the channel
+     * @type {Promise}
+     */
+
+    ready = null;
+
+
+    /**
+     * @private
+     * @type {Array<RelayListener>}
+     */
+
+    #relayListeners = [];
+
+
+    /**
+     * @private
+     * @param {String} message
+     */
+
+    #messageListener = message => {
+
+        const { origin, operationData } = JSON.parse( message );
+
+        if ( origin === this.origin ) {
+            return;
+        }
+
+        for ( let listener of this.#relayListeners ) {
+            listener( operationData );
+        }
+    };
+
+
+    /**
+     * Send a change to the other processes
+     * @method
+     * @param {Object} operationData - see SequelizeChangeTracker.notifySubscribers
+     * @returns {Promise}
+     */
+
+    async publish( operationData ) {
+        await this.publisher.publish( this.channel, JSON.stringify({ origin: this.origin, operationData }) );
+    }
+
+
+    /**
+     * Register a listener for changes published by other processes
+     * @method
+     * @param {RelayListener} listener
+     */
+
+    onRelay( listener ) {
+        this.#relayListeners.push( listener );
+    }
+
+
+    /**
+     * Stop listening to the channel
+     * @method
+     * @returns {Promise}
+     */
+
+    async close() {
+        this.#relayListeners = [];
+        await this.subscriber.unsubscribe( this.channel, this.#messageListener );
+    }
+}
+
+
+/**
+ * @class
+ * In-process stand-in for a Redis pub/sub connection, so RedisSubscriptionStore
+ * can be used (and tested) without a Redis server. Share one instance between
+ * the stores that should reach each other.
+ */
+
+export class InProcessPubSub {
+
+    /**
+     * @private
+     * @type {Map<String,Set<Function>>}
+     */
+
+    #channels = new Map();
+
+
+    /**
+     * @method
+     * @param {String} channel
+     * @param {String} message
+     * @returns {Promise<Number>} the number of listeners that received the message
+     */
+
+    async publish( channel, message ) {
+
+        const listeners = [ ...( this.#channels.get( channel ) || [] ) ];
+
+        for ( let listener of listeners ) {
+            listener( message, channel );
+        }
+
+        return listeners.length;
+    }
+
+
+    /**
+     * @method
+     * @param {String} channel
+     * @param {Function} listener - called with the message and the channel
+     * @returns {Promise}
+     */
+
+    async subscribe( channel, listener ) {
+
+        if ( ! this.#channels.has( channel )) {
+            this.#channels.set( channel, new Set() );
+        }
+
+        this.#channels.get( channel ).add( listener );
+    }
+
+
+    /**
+     * @method
+     * @param {String} channel
+     * @param {Function} [listener] - leave out to remove all listeners of the channel
+     * @returns {Promise}
+     */
+
+    async unsubscribe( channel, listener ) {
+
+        if ( listener === undefined ) {
+            this.#channels.delete( channel );
+        }
+        else {
+            this.#channels.get( channel )?.delete( listener );
+        }
+    }
+}
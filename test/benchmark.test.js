@@ -0,0 +1,32 @@
+'use strict'
+
+import { expect } from 'chai';
+import { Sequelize, DataTypes } from 'sequelize';
+import { MemorySubscriptionStore } from '../index.js';
+import { LinearSubscriptionStore, run } from '../bench/subscription-store.js';
+
+const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+const stdFields = { 
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 }, 
+    value: { type: DataTypes.STRING }
+};
+
+// the timings are compared by npm run bench, this only checks that both registries agree
+
+describe( 'Benchmark', function() {
+
+    this.timeout( 120000 );
+
+    it( 'Should deliver subscription bursts like the linear registry', async function() {
+
+        const Item = sequelize.define( 'Item', stdFields );
+        const scenario = { connections: 10, instancesPerConnection: 500 };
+
+        const linear = await run( Item, new LinearSubscriptionStore(), scenario );
+        const indexed = await run( Item, new MemorySubscriptionStore(), scenario );
+
+        expect( indexed.delivered ).to.have.length( 100 );
+        expect( indexed.delivered.map( ids => [ ...ids ].sort() )).to.deep.equal( linear.delivered.map( ids => [ ...ids ].sort() ));
+    });
+});
@@ -0,0 +1,192 @@
+'use strict'
+
+import { expect } from 'chai';
+import { Sequelize, DataTypes } from 'sequelize';
+import SequelizeChangeTracker, { ChangeLog } from '../index.js';
+
+const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+const stdFields = { 
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 }, 
+    value: { type: DataTypes.STRING }
+};
+
+const collect = async iterable => {
+    const items = [];
+    for await ( let item of iterable ) {
+        items.push( item );
+    }
+    return items;
+}
+
+describe( 'Change log', function() {
+
+    let Item = null;
+    let changeLog = null;
+    let ct = null;
+    let changeRegister = null;
+
+    beforeEach( async function() {
+
+        Item = sequelize.define( 'Item', stdFields );
+        changeLog = new ChangeLog({ sequelize, pageSize: 2 });
+        await sequelize.sync({ force: true });
+
+        changeRegister = [];
+        ct = new SequelizeChangeTracker({ models: [ Item ], changeLog });
+        ct.on( 'data-changed', event => changeRegister.push( event ) );
+    });
+
+    afterEach( function() {
+        ct.destroy();
+    });
+
+    it( 'Should number the changes', async function() {
+
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1 });
+
+        await Item.create();
+        await Item.create();
+
+        expect( changeRegister.map( e => e.sequence )).to.deep.equal([ 1, 2 ]);
+    });
+
+    it( 'Should log changes without subscribers', async function() {
+
+        await Item.create();
+
+        expect( changeRegister ).to.have.length( 0 );
+        expect( await changeLog.model.count() ).to.equal( 1 );
+    });
+
+    it( 'Should replay the changes after a sequence number', async function() {
+
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1 });
+
+        const item = await Item.create({ value: 'a' });
+        await item.update({ value: 'b' });
+        await item.update({ value: 'c' });
+        await item.destroy();
+        await Item.create({ value: 'd' });
+
+        const changes = await collect( ct.replay({ since: 2 }) );
+
+        expect( changes.map( c => [ c.sequence, c.operation, c.instance.value ] )).to.deep.equal([
+            [ 3, 'update', 'c' ],
+            [ 4, 'delete', 'c' ],
+            [ 5, 'create', 'd' ],
+        ]);
+        expect( changes[ 0 ].diff ).to.include({ value: 'c' });
+    });
+
+    it( 'Should only replay the changes of a subscription id', async function() {
+
+        const item = await Item.create();
+        await Item.findOne({ where: { id: item.id }, trackChanges: { subscriptionId: 'specific' } });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 'generic' });
+
+        await item.update({ value: 'new' });
+        await Item.create();
+
+        expect( ( await collect( ct.replay({ subscriptionId: 'specific' }) )).map( c => c.sequence )).to.deep.equal([ 2 ]);
+        expect( ( await collect( ct.replay({ subscriptionId: 'generic' }) )).map( c => c.sequence )).to.deep.equal([ 2, 3 ]);
+    });
+
+    it( 'Should log and count a cascaded change once', async function() {
+
+        const Part = sequelize.define( 'Part', stdFields );
+        Item.hasMany( Part );
+        Part.belongsTo( Item );
+        await sequelize.sync({ force: true });
+
+        ct.destroy();
+        ct = new SequelizeChangeTracker({ models: [ Item, Part ], changeLog });
+        ct.on( 'data-changed', event => changeRegister.push( event ) );
+
+        const item = await Item.create();
+        const part = await Part.create({ ItemId: item.id });
+
+        ct.addSubscription({ modelName: 'Part', subscriptionId: 'y', instanceId: part.id });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 'x', instanceId: item.id });
+
+        await part.update({ value: 'new' });
+
+        const via = [ { model: 'Item', instanceId: item.id, association: 'Parts', foreignKey: 'ItemId' } ];
+
+        expect( changeRegister.map( e => [ e.sequence, e.subscriptionIds, e.via ] )).to.deep.equal([ [ 3, [ 'y' ], undefined ], [ 3, [ 'x' ], via ] ]);
+        expect( await changeLog.model.count() ).to.equal( 3 );
+
+        const [ logged ] = await collect( ct.replay({ since: 2 }) );
+
+        expect( logged.subscriptionIds ).to.deep.equal([ 'y', 'x' ]);
+        expect( logged.vias ).to.deep.equal({ x: via });
+        expect( ( await collect( ct.replay({ since: 2, subscriptionId: 'x' }) )).map( c => c.via )).to.deep.equal([ via ]);
+
+        const stats = ct.stats();
+
+        expect( stats.events ).to.deep.equal({ update: 1 });
+        expect( stats.deliveries ).to.equal( 2 );
+    });
+
+    it( 'Should not log changes of rolled back transactions', async function() {
+
+        const transaction = await sequelize.transaction();
+        await Item.create( {}, { transaction });
+        await transaction.rollback();
+
+        expect( await collect( ct.replay() )).to.have.length( 0 );
+    });
+
+    it( 'Should prune by number of rows and by age', async function() {
+
+        for ( let i = 0; i < 5; i++ ) {
+            await Item.create();
+        }
+
+        await changeLog.addRecipients( 1, [ 'x' ] );
+        await changeLog.addRecipients( 5, [ 'x' ] );
+
+        changeLog.retention = { maxRows: 2 };
+        expect( await changeLog.prune() ).to.equal( 3 );
+        expect( ( await collect( ct.replay() )).map( c => c.sequence )).to.deep.equal([ 4, 5 ]);
+        expect( ( await collect( ct.replay({ subscriptionId: 'x' }) )).map( c => c.sequence )).to.deep.equal([ 5 ]);
+        expect( await changeLog.recipientModel.count() ).to.equal( 1 );
+
+        changeLog.retention = { maxAge: -1 };
+        await changeLog.prune();
+        expect( await collect( ct.replay() )).to.have.length( 0 );
+        expect( await changeLog.recipientModel.count() ).to.equal( 0 );
+    });
+
+    it( 'Should require a change log to replay', function() {
+
+        const tracker = new SequelizeChangeTracker({ models: [ Item ] });
+
+        expect( () => tracker.replay() ).to.throw( 'No change log configured' );
+
+        tracker.destroy();
+    });
+
+    it( 'Should apply the access hooks when replaying for a subscription id', async function() {
+
+        ct.destroy();
+        ct = new SequelizeChangeTracker({
+            models: [ Item ],
+            changeLog,
+            access: { Item: { authorize: ( { context } ) => context === 'allowed', project: ( modelName, { id } ) => ({ id }) } },
+        });
+
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1 });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 2 });
+        ct.setSubscriptionContext( 1, 'allowed' );
+
+        await Item.create({ value: 'a' });
+
+        const [ change ] = await collect( ct.replay({ subscriptionId: 1 }) );
+
+        expect( change.instance ).to.have.all.keys( 'id' );
+        expect( change.sequence ).to.equal( 1 );
+        expect( await collect( ct.replay({ subscriptionId: 2 }) )).to.have.length( 0 );
+        expect( ( await collect( ct.replay() ))[ 0 ].instance.value ).to.equal( 'a' );
+    });
+});
@@ -2,7 +2,7 @@
 
 import { expect } from 'chai';
 import { Sequelize, DataTypes, BelongsToMany } from 'sequelize';
-import SequelizeChangeTracker from '../index.js';
+import SequelizeChangeTracker, { MemorySubscriptionStore } from '../index.js';
 import { pause } from './lib.js';
 
 const sequelize = new Sequelize('sqlite::memory:', { logging: false });
@@ -70,19 +70,30 @@ describe( 'Change Tracker', function() {
     it ( 'Should create a map of depending models', function() {
 
         // A depends on all models except B
-        // BelongToManyRecip depends on A
+        // the many-to-many endpoints depend on each other through their join tables
+        // and the join tables depend on both endpoints
 
         for ( let modelName of Object.keys( ct.dependingModelMap ) ) {
             expect( ct.dependingModelMap[ modelName ] ).to.be.an('array');
             switch ( modelName ) {
                 case 'A':
-                    expect( ct.dependingModelMap.A[0] ).to.be.an( 'object' );
-                    expect( ct.dependingModelMap.A[0].name ).to.equal( 'BelongsToManyARecip' );
+                    expect( ct.dependingModelMap.A.map( dm => dm.name ) ).to.have.members([ 'BelongsToManyARecip', 'BelongsToManyASingle' ]);
+                    expect( ct.dependingModelMap.A[0].through ).to.equal( 'AB' );
                     expect( ct.dependingModelMap.A[0].foreignKey ).to.equal( 'AId' );
+                    expect( ct.dependingModelMap.A[0].otherKey ).to.equal( 'BelongsToManyARecipId' );
                     break;
                 case 'B':
                     expect( ct.dependingModelMap.B ).to.have.length( 0 );
                     break;
+                case 'AB':
+                    expect( ct.dependingModelMap.AB ).to.deep.equal([
+                        { name: 'A', foreignKey: 'AId' },
+                        { name: 'BelongsToManyARecip', foreignKey: 'BelongsToManyARecipId' },
+                    ]);
+                    break;
+                case 'ABs':
+                    expect( ct.dependingModelMap.ABs.map( dm => dm.name ) ).to.have.members([ 'A', 'BelongsToManyASingle' ]);
+                    break;
                 default:
                     // multiple deps should have this
                     expect( ct.dependingModelMap[ modelName ][0].name ).to.deep.equal( 'A' );
@@ -124,6 +135,54 @@ describe( 'Change Tracker', function() {
 
     })
 
+    describe( 'On destroy', function() {
+
+        it( 'Should remove its hooks and stop sending events', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+            ct.destroy();
+
+            await models.B.create();
+            await models.B.destroy({ where: {} });
+
+            expect( changeRegister ).to.have.length( 0 );
+            expect( models.B.options.hooks.afterCreate || [] ).to.have.length( 0 );
+        });
+
+        it( 'Should leave hooks of other trackers in place', async function() {
+
+            const other = new SequelizeChangeTracker({ models: Object.values( models ) });
+            const otherRegister = [];
+            other.on( 'data-changed', event => otherRegister.push( event ) );
+            other.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            ct.destroy();
+            await models.B.create();
+            other.destroy();
+
+            expect( otherRegister ).to.have.length( 1 );
+        });
+
+        it( 'Should clear the registers, emit "destroyed" and remove listeners', function() {
+
+            let destroyed = false;
+            ct.on( 'destroyed', () => destroyed = true );
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            ct.destroy();
+
+            expect( destroyed ).to.equal( true );
+            expect( ct.subscriptionsById ).to.deep.equal( {} );
+            expect( ct.subscriptionsByResource ).to.deep.equal( {} );
+            expect( ct.listenerCount( 'data-changed' ) ).to.equal( 0 );
+        });
+
+        it( 'Should throw when subscribing after destroy', function() {
+            ct.destroy();
+            expect( () => ct.addSubscription({ modelName: 'B', subscriptionId: 1 }) ).to.throw( 'Tracker destroyed' );
+        });
+    });
+
     describe( 'On update', function() {
         it ( 'Should send direct specific change events', async function() {
 
@@ -172,12 +231,15 @@ describe( 'Change Tracker', function() {
 
             expect( changeRegister[ 1 ] ).not.to.be.a( 'undefined' );
             expect( changeRegister[ 1 ].model ).to.equal( 'AHasOne' );
-            expect( changeRegister[ 1 ].subscriptionIds ).to.be.an( 'array' );
-            expect( changeRegister[ 1 ].subscriptionIds[ 0 ] ).to.equal( 2 );
-            expect( changeRegister[ 1 ].subscriptionIds[ 1 ] ).to.equal( 1 );
+            expect( changeRegister[ 1 ].subscriptionIds ).to.deep.equal([ 2 ]);
+            expect( changeRegister[ 1 ].via ).to.be.undefined;
             expect( changeRegister[ 1 ].instance.value ).to.equal( randomValue );
             expect( changeRegister[ 1 ].changedFields ).to.be.an( 'array' );
 
+            expect( changeRegister[ 2 ].model ).to.equal( 'AHasOne' );
+            expect( changeRegister[ 2 ].subscriptionIds ).to.deep.equal([ 1 ]);
+            expect( changeRegister[ 2 ].via ).to.deep.equal([ { model: 'A', instanceId: a.id, association: 'AHasOne', foreignKey: 'AId' } ]);
+
         });
     });
 
@@ -263,4 +325,1435 @@ describe( 'Change Tracker', function() {
 
         });
     });
+
+
+    describe( 'On bulk update', function() {
+
+        it( 'Should send a specific update event per affected instance', async function() {
+
+            const b1 = await models.B.create({ value: 'old' });
+            const b2 = await models.B.create({ value: 'old' });
+            await models.B.create({ value: 'other' });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b1.id });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 2, instanceId: b2.id });
+
+            await models.B.update({ value: 'new' }, { where: { value: 'old' } });
+
+            expect( changeRegister ).to.have.length( 2 );
+            for ( let event of changeRegister ) {
+                expect( event.operation ).to.equal( 'update' );
+                expect( event.model ).to.equal( 'B' );
+                expect( event.instance.value ).to.equal( 'new' );
+                expect( event.changedFields ).to.include( 'value' );
+            }
+            expect( changeRegister.map( e => e.subscriptionIds[ 0 ] ) ).to.have.members([ 1, 2 ]);
+        });
+
+        it( 'Should send depending events', async function() {
+
+            const a = await models.A.create();
+            await models.AHasOne.create({ AId: a.id });
+
+            ct.addSubscription({ modelName: 'A', subscriptionId: 1, instanceId: a.id });
+
+            await models.AHasOne.update({ value: 'new' }, { where: { AId: a.id } });
+
+            expect( changeRegister[ 0 ] ).not.to.be.a( 'undefined' );
+            expect( changeRegister[ 0 ].subscriptionIds[ 0 ] ).to.equal( 1 );
+            expect( changeRegister[ 0 ].operation ).to.equal( 'update' );
+            expect( changeRegister[ 0 ].model ).to.equal( 'AHasOne' );
+        });
+
+        it( 'Should report bulk updates of more rows than an expression can hold', async function() {
+
+            await models.B.bulkCreate( Array.from({ length: 1500 }, () => ({ value: 'old' })));
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            await models.B.update({ value: 'new' }, { where: { value: 'old' } });
+
+            expect( changeRegister ).to.have.length( 1500 );
+            expect( changeRegister.every( e => e.instance.value === 'new' )).to.equal( true );
+        });
+
+        it( 'Should use the individual hooks in "individual" mode', async function() {
+
+            ct.destroy();
+            ct = new SequelizeChangeTracker({ models: Object.values( models ), bulkHooks: 'individual' });
+            ct.on( 'data-changed', event => changeRegister.push( event ) );
+
+            const b = await models.B.create({ value: 'old' });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b.id });
+
+            await models.B.update({ value: 'new' }, { where: { id: b.id } });
+
+            expect( changeRegister ).to.have.length( 1 );
+            expect( changeRegister[ 0 ].operation ).to.equal( 'update' );
+            expect( changeRegister[ 0 ].instance.value ).to.equal( 'new' );
+        });
+    });
+
+
+    describe( 'On bulk delete', function() {
+
+        it( 'Should send a delete event per affected instance', async function() {
+
+            const b1 = await models.B.create({ value: 'old' });
+            const b2 = await models.B.create({ value: 'old' });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            await models.B.destroy({ where: { value: 'old' } });
+
+            expect( changeRegister ).to.have.length( 2 );
+            expect( changeRegister.map( e => e.instance.id ) ).to.have.members([ b1.id, b2.id ]);
+            for ( let event of changeRegister ) {
+                expect( event.operation ).to.equal( 'delete' );
+                expect( event.subscriptionIds[ 0 ] ).to.equal( 1 );
+            }
+        });
+
+        it( 'Should send depending events', async function() {
+
+            const a = await models.A.create();
+            await models.AHasOne.create({ AId: a.id });
+
+            ct.addSubscription({ modelName: 'A', subscriptionId: 1, instanceId: a.id });
+
+            await models.AHasOne.destroy({ where: { AId: a.id } });
+
+            expect( changeRegister[ 0 ] ).not.to.be.a( 'undefined' );
+            expect( changeRegister[ 0 ].subscriptionIds[ 0 ] ).to.equal( 1 );
+            expect( changeRegister[ 0 ].operation ).to.equal( 'delete' );
+            expect( changeRegister[ 0 ].model ).to.equal( 'AHasOne' );
+        });
+    });
+
+
+    describe( 'In transactions', function() {
+
+        it( 'Should hold back events until the transaction is committed', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            const transaction = await sequelize.transaction();
+            await models.B.create({ value: 'new' }, { transaction });
+
+            expect( changeRegister ).to.have.length( 0 );
+
+            await transaction.commit();
+
+            expect( changeRegister ).to.have.length( 1 );
+            expect( changeRegister[ 0 ].operation ).to.equal( 'create' );
+            expect( changeRegister[ 0 ].instance.value ).to.equal( 'new' );
+        });
+
+        it( 'Should drop events when the transaction is rolled back', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            const transaction = await sequelize.transaction();
+            await models.B.create({}, { transaction });
+            await transaction.rollback();
+
+            expect( changeRegister ).to.have.length( 0 );
+        });
+
+        it( 'Should hold back events of a managed transaction', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            await sequelize.transaction( async transaction => {
+                const b = await models.B.create({}, { transaction });
+                await b.update({ value: 'new' }, { transaction });
+                await models.B.destroy({ where: { id: b.id }, transaction });
+                expect( changeRegister ).to.have.length( 0 );
+            });
+
+            expect( changeRegister.map( e => e.operation ) ).to.deep.equal([ 'create', 'update', 'delete' ]);
+        });
+
+        it( 'Should hold back events of nested transactions until the outer transaction is committed', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            const outer = await sequelize.transaction();
+            const inner = await sequelize.transaction({ transaction: outer });
+            await models.B.create({}, { transaction: inner });
+            await inner.commit();
+
+            expect( changeRegister ).to.have.length( 0 );
+
+            await outer.commit();
+
+            expect( changeRegister ).to.have.length( 1 );
+        });
+
+        it( 'Should drop events of a rolled back nested transaction', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            const outer = await sequelize.transaction();
+            await models.B.create({ value: 'outer' }, { transaction: outer });
+            const inner = await sequelize.transaction({ transaction: outer });
+            await models.B.create({ value: 'inner' }, { transaction: inner });
+            await inner.rollback();
+            await outer.commit();
+
+            expect( changeRegister ).to.have.length( 1 );
+            expect( changeRegister[ 0 ].instance.value ).to.equal( 'outer' );
+        });
+    });
+
+
+    describe( 'With filters', function() {
+
+        it( 'Should only send updates of whitelisted fields', async function() {
+
+            const b = await models.B.create();
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b.id, fields: [ 'value' ] });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 2, instanceId: b.id, fields: [ 'createdAt' ] });
+
+            await b.update({ value: 'new' });
+
+            expect( changeRegister ).to.have.length( 1 );
+            expect( changeRegister[ 0 ].subscriptionIds ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should only send changes of instances matching the where filter', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, where: { value: 'open' } });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 2, where: { value: [ 'open', 'closed' ] } });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 3, where: data => data.value === 'closed' });
+
+            await models.B.create({ value: 'open' });
+            await models.B.create({ value: 'closed' });
+            await models.B.create({ value: 'other' });
+
+            expect( changeRegister ).to.have.length( 2 );
+            expect( changeRegister[ 0 ].subscriptionIds ).to.deep.equal([ 1, 2 ]);
+            expect( changeRegister[ 1 ].subscriptionIds ).to.deep.equal([ 2, 3 ]);
+        });
+
+        it( 'Should accept filters through the "trackChanges" option', async function() {
+
+            const b = await models.B.create({ value: 'open' });
+            await models.B.findOne({
+                where: { id: b.id },
+                trackChanges: { subscriptionId: 1, fields: [ 'value' ], where: { value: 'closed' } }
+            });
+
+            expect( ct.subscriptionsById[ 1 ][ 0 ].fields ).to.deep.equal([ 'value' ]);
+
+            await b.update({ value: 'open again' });
+            await b.update({ value: 'closed' });
+
+            expect( changeRegister ).to.have.length( 1 );
+            expect( changeRegister[ 0 ].instance.value ).to.equal( 'closed' );
+        });
+    });
+
+
+    describe( 'Previous values', function() {
+
+        it( 'Should send previous values and a diff of the really changed fields on update', async function() {
+
+            const b = await models.B.create({ value: 'old' });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b.id });
+
+            await b.update({ value: 'new' });
+
+            expect( changeRegister[ 0 ].previous.value ).to.equal( 'old' );
+            expect( changeRegister[ 0 ].diff ).to.have.property( 'value', 'new' );
+            expect( changeRegister[ 0 ].diff ).not.to.have.property( 'id' );
+            expect( changeRegister[ 0 ].diff ).not.to.have.property( 'createdAt' );
+        });
+
+        it( 'Should send previous values and a diff on bulk update', async function() {
+
+            const b = await models.B.create({ value: 'old' });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b.id });
+
+            await models.B.update({ value: 'new' }, { where: { id: b.id } });
+
+            expect( changeRegister[ 0 ].previous.value ).to.equal( 'old' );
+            expect( changeRegister[ 0 ].diff ).to.have.property( 'value', 'new' );
+            expect( changeRegister[ 0 ].diff ).not.to.have.property( 'id' );
+        });
+
+        it( 'Should send the removed row as previous values on delete', async function() {
+
+            const b = await models.B.create({ value: 'old' });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            await b.destroy();
+            await models.B.create({ value: 'bulk' });
+            await models.B.destroy({ where: { value: 'bulk' } });
+
+            const deletes = changeRegister.filter( e => e.operation === 'delete' );
+            expect( deletes ).to.have.length( 2 );
+            expect( deletes[ 0 ].previous ).to.include({ id: b.id, value: 'old' });
+            expect( deletes[ 1 ].previous ).to.include({ value: 'bulk' });
+            expect( deletes[ 0 ].diff ).to.equal( null );
+        });
+    });
+
+
+    describe( 'Cascading', function() {
+
+        let Thread, Post, Comment, Node;
+        let cascadeTracker = null;
+        let cascadeRegister = null;
+
+        beforeEach( async function() {
+
+            Thread = sequelize.define( 'Thread', stdFields );
+            Post = sequelize.define( 'Post', stdFields );
+            Comment = sequelize.define( 'Comment', stdFields );
+            Node = sequelize.define( 'Node', stdFields );
+
+            Thread.hasMany( Post );
+            Post.belongsTo( Thread );
+            Post.hasMany( Comment );
+            Comment.belongsTo( Post );
+            Node.belongsTo( Node, { as: 'parent' } );
+
+            await sequelize.sync({ force: true });
+
+            cascadeRegister = [];
+            cascadeTracker = new SequelizeChangeTracker({ models: [ Thread, Post, Comment, Node ] });
+            cascadeTracker.on( 'data-changed', event => cascadeRegister.push( event ) );
+        });
+
+        afterEach( function() {
+            cascadeTracker.destroy();
+        });
+
+        it( 'Should only cascade one level by default', async function() {
+
+            const thread = await Thread.create();
+            const post = await Post.create({ ThreadId: thread.id });
+            const comment = await Comment.create({ PostId: post.id });
+
+            cascadeTracker.addSubscription({ modelName: 'Thread', subscriptionId: 1, instanceId: thread.id });
+
+            await comment.update({ value: 'new' });
+
+            expect( cascadeRegister ).to.have.length( 0 );
+        });
+
+        it( 'Should cascade to ancestors within the global cascade depth', async function() {
+
+            cascadeTracker.destroy();
+            cascadeTracker = new SequelizeChangeTracker({ models: [ Thread, Post, Comment, Node ], cascadeDepth: 2 });
+            cascadeTracker.on( 'data-changed', event => cascadeRegister.push( event ) );
+
+            const thread = await Thread.create();
+            const post = await Post.create({ ThreadId: thread.id });
+            const comment = await Comment.create({ PostId: post.id });
+
+            cascadeTracker.addSubscription({ modelName: 'Thread', subscriptionId: 1, instanceId: thread.id });
+            cascadeTracker.addSubscription({ modelName: 'Post', subscriptionId: 2, instanceId: post.id });
+
+            await comment.update({ value: 'new' });
+
+            expect( cascadeRegister ).to.have.length( 2 );
+            expect( cascadeRegister.map( e => e.model )).to.deep.equal([ 'Comment', 'Comment' ]);
+            expect( cascadeRegister.map( e => e.subscriptionIds )).to.deep.equal([ [ 2 ], [ 1 ] ]);
+            expect( cascadeRegister[ 1 ].via.map( hop => [ hop.model, hop.instanceId, hop.foreignKey ] )).to.deep.equal([
+                [ 'Post', post.id, 'PostId' ],
+                [ 'Thread', thread.id, 'ThreadId' ],
+            ]);
+        });
+
+        it( 'Should cascade to ancestors within the cascade depth of the subscription', async function() {
+
+            const thread = await Thread.create();
+            const post = await Post.create({ ThreadId: thread.id });
+            const comment = await Comment.create({ PostId: post.id });
+
+            await Thread.findOne({ where: { id: thread.id }, trackChanges: { subscriptionId: 1, cascadeDepth: 2 } });
+            cascadeTracker.addSubscription({ modelName: 'Post', subscriptionId: 2, instanceId: post.id, cascadeDepth: 0 });
+
+            await comment.update({ value: 'new' });
+
+            expect( cascadeRegister ).to.have.length( 1 );
+            expect( cascadeRegister[ 0 ].subscriptionIds ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should look up foreign keys of ancestors that are not cached', async function() {
+
+            const thread = await Thread.create();
+            const post = await Post.create({ ThreadId: thread.id });
+            const comment = await Comment.create({ PostId: post.id });
+
+            // a new tracker hasn't seen the post yet
+
+            cascadeTracker.destroy();
+            cascadeTracker = new SequelizeChangeTracker({ models: [ Thread, Post, Comment, Node ] });
+            cascadeTracker.on( 'data-changed', event => cascadeRegister.push( event ) );
+            cascadeTracker.addSubscription({ modelName: 'Thread', subscriptionId: 1, instanceId: thread.id, cascadeDepth: 2 });
+
+            await comment.update({ value: 'new' });
+
+            expect( cascadeRegister ).to.have.length( 1 );
+            expect( cascadeRegister[ 0 ].subscriptionIds ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should not query the database for ancestors it has seen', async function() {
+
+            const thread = await Thread.create();
+            const post = await Post.create({ ThreadId: thread.id });
+            const comment = await Comment.create({ PostId: post.id });
+
+            cascadeTracker.addSubscription({ modelName: 'Thread', subscriptionId: 1, instanceId: thread.id, cascadeDepth: 2 });
+
+            const queries = [];
+            sequelize.options.logging = sql => queries.push( sql );
+            try {
+                await comment.update({ value: 'new' });
+            }
+            finally {
+                sequelize.options.logging = false;
+            }
+
+            expect( queries.filter( sql => sql.includes( 'SELECT' )) ).to.have.length( 0 );
+            expect( cascadeRegister ).to.have.length( 1 );
+        });
+
+        it( 'Should not remember foreign keys missing from partially loaded instances', async function() {
+
+            const thread = await Thread.create();
+            const post = await Post.create({ ThreadId: thread.id });
+            const comment = await Comment.create({ PostId: post.id });
+
+            cascadeTracker.addSubscription({ modelName: 'Thread', subscriptionId: 1, instanceId: thread.id, cascadeDepth: 2 });
+
+            await comment.update({ value: 'first' });
+
+            const partialPost = await Post.findByPk( post.id, { attributes: [ 'id', 'value' ] });
+            await partialPost.update({ value: 'new' });
+
+            await comment.update({ value: 'second' });
+
+            expect( cascadeRegister.map( e => [ e.model, e.subscriptionIds ] )).to.deep.equal([ [ 'Comment', [ 1 ] ], [ 'Post', [ 1 ] ], [ 'Comment', [ 1 ] ] ]);
+        });
+
+        it( 'Should stop at cycles in the association graph', async function() {
+
+            const n1 = await Node.create();
+            const n2 = await Node.create({ parentId: n1.id });
+            await n1.update({ parentId: n2.id });
+
+            cascadeTracker.addSubscription({ modelName: 'Node', subscriptionId: 1, instanceId: n2.id, cascadeDepth: 10 });
+
+            await n1.update({ value: 'new' });
+
+            expect( cascadeRegister ).to.have.length( 1 );
+            expect( cascadeRegister[ 0 ].subscriptionIds ).to.deep.equal([ 1 ]);
+        });
+    });
+
+
+    describe( 'Many-to-many', function() {
+
+        it( 'Should send associate events to subscribers of both endpoints', async function() {
+
+            const a = await models.A.create();
+            const recip = await models.BelongsToManyARecip.create();
+
+            ct.addSubscription({ modelName: 'A', subscriptionId: 1, instanceId: a.id });
+            ct.addSubscription({ modelName: 'BelongsToManyARecip', subscriptionId: 2, instanceId: recip.id });
+
+            await a.addBelongsToManyARecip( recip );
+
+            expect( changeRegister ).to.have.length( 2 );
+            expect( changeRegister.map( e => e.operation )).to.deep.equal([ 'associate', 'associate' ]);
+            expect( changeRegister.map( e => e.model )).to.deep.equal([ 'AB', 'AB' ]);
+            expect( changeRegister[ 0 ].instance ).to.include({ AId: a.id, BelongsToManyARecipId: recip.id });
+            expect( changeRegister.map( e => e.subscriptionIds )).to.have.deep.members([ [ 1 ], [ 2 ] ]);
+            expect( changeRegister.map( e => e.via[ 0 ].model )).to.have.members([ 'A', 'BelongsToManyARecip' ]);
+        });
+
+        it( 'Should send dissociate events to subscribers of both endpoints', async function() {
+
+            const a = await models.A.create();
+            const recip1 = await models.BelongsToManyARecip.create();
+            const recip2 = await models.BelongsToManyARecip.create();
+            await a.addBelongsToManyARecips([ recip1, recip2 ]);
+
+            ct.addSubscription({ modelName: 'A', subscriptionId: 1, instanceId: a.id });
+            ct.addSubscription({ modelName: 'BelongsToManyARecip', subscriptionId: 2, instanceId: recip1.id });
+
+            await a.removeBelongsToManyARecip( recip1 );
+            await a.setBelongsToManyARecips([]);
+
+            expect( changeRegister ).to.have.length( 3 );
+            expect( changeRegister.map( e => e.operation ) ).to.deep.equal([ 'dissociate', 'dissociate', 'dissociate' ]);
+            expect( changeRegister.slice( 0, 2 ).map( e => e.subscriptionIds )).to.have.deep.members([ [ 1 ], [ 2 ] ]);
+            expect( changeRegister[ 2 ].instance.BelongsToManyARecipId ).to.equal( recip2.id );
+            expect( changeRegister[ 2 ].subscriptionIds ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should send updates of an endpoint to subscribers of the associated instances', async function() {
+
+            const a = await models.A.create();
+            const single = await models.BelongsToManyASingle.create();
+            await single.addA( a );
+
+            ct.addSubscription({ modelName: 'A', subscriptionId: 1, instanceId: a.id });
+            ct.addSubscription({ modelName: 'BelongsToManyASingle', subscriptionId: 2, instanceId: single.id });
+
+            await single.update({ value: 'new' });
+            await a.update({ value: 'new' });
+
+            expect( changeRegister ).to.have.length( 4 );
+            expect( changeRegister.map( e => e.model )).to.deep.equal([ 'BelongsToManyASingle', 'BelongsToManyASingle', 'A', 'A' ]);
+            expect( changeRegister.map( e => e.subscriptionIds )).to.deep.equal([ [ 2 ], [ 1 ], [ 1 ], [ 2 ] ]);
+            expect( changeRegister[ 1 ].via ).to.deep.equal([ { model: 'A', instanceId: a.id, association: 'As', foreignKey: 'BelongsToManyASingleId', through: 'ABs' } ]);
+            expect( changeRegister[ 3 ].via ).to.deep.equal([ { model: 'BelongsToManyASingle', instanceId: single.id, association: 'As', foreignKey: 'AId', through: 'ABs' } ]);
+        });
+    });
+
+
+    describe( 'Expiry', function() {
+
+        it( 'Should remove expired subscriptions when sweeping', async function() {
+
+            const b = await models.B.create();
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b.id, ttl: 10 });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 2, instanceId: b.id });
+            await models.B.findAll({ trackChanges: { subscriptionId: 3, ttl: 1000 } });
+
+            const removals = [];
+            ct.on( 'subscriptions-changed', event => event.removed && removals.push( event ));
+
+            await pause( 0.02 );
+            ct.sweep();
+
+            expect( ct.subscriptionsByResource.B[ b.id ] ).to.deep.equal([ 2, 3 ]);
+            expect( removals ).to.have.length( 1 );
+            expect( removals[ 0 ] ).to.include({ subscriptionId: 1, modelName: 'B', instanceId: b.id, reason: 'expired' });
+        });
+
+        it( 'Should keep touched subscriptions alive', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, ttl: 30 });
+
+            await pause( 0.02 );
+            ct.touch( 1 );
+            await pause( 0.02 );
+            ct.sweep();
+
+            expect( ct.subscriptionsByResource.B.generic ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should keep touched subscriptions alive in stores that return copies', async function() {
+
+            class CopyingStore extends MemorySubscriptionStore {
+                find( subscription ) {
+                    const subObj = super.find( subscription );
+                    return subObj && { ...subObj };
+                }
+                findById( subscriptionId ) {
+                    return super.findById( subscriptionId ).map( subObj => ({ ...subObj }));
+                }
+            }
+
+            ct.destroy();
+            ct = new SequelizeChangeTracker({ models: Object.values( models ), store: new CopyingStore() });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, ttl: 30 });
+
+            await pause( 0.02 );
+            ct.touch( 1 );
+            await pause( 0.02 );
+            ct.sweep();
+
+            expect( ct.subscriptionsByResource.B.generic ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should apply the default time to live', async function() {
+
+            ct.destroy();
+            ct = new SequelizeChangeTracker({ models: Object.values( models ), defaultTtl: 10 });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            await pause( 0.02 );
+            ct.sweep();
+
+            expect( ct.subscriptionsByResource.B.generic ).to.have.length( 0 );
+        });
+
+        it( 'Should sweep periodically', async function() {
+
+            ct.destroy();
+            ct = new SequelizeChangeTracker({ models: Object.values( models ), sweepInterval: 10 });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, ttl: 5 });
+
+            await pause( 0.05 );
+
+            expect( ct.subscriptionsByResource.B.generic ).to.have.length( 0 );
+        });
+
+        it( 'Should prune empty entries when sweeping', async function() {
+
+            const b = await models.B.create();
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b.id });
+            ct.removeSubscriptionAllModels( 1 );
+
+            expect( ct.subscriptionsByResource.B ).to.have.property( b.id );
+
+            ct.sweep();
+
+            expect( ct.subscriptionsByResource.B ).to.deep.equal({ generic: [] });
+            expect( ct.subscriptionsById ).to.deep.equal( {} );
+        });
+
+        it( 'Should report removals with a reason', function() {
+
+            const events = [];
+            ct.on( 'subscriptions-changed', event => events.push( event ));
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+            ct.removeSubscription({ modelName: 'B', subscriptionId: 1, generic: true });
+
+            expect( events ).to.have.length( 2 );
+            expect( events[ 1 ] ).to.include({ subscriptionId: 1, removed: true, reason: 'removed' });
+        });
+    });
+
+
+    describe( 'Batching', function() {
+
+        let batchRegister = null;
+
+        beforeEach( function() {
+            ct.destroy();
+            ct = new SequelizeChangeTracker({ models: Object.values( models ), batch: { window: 10000 } });
+            ct.on( 'data-changed', event => changeRegister.push( event ) );
+            batchRegister = [];
+            ct.on( 'data-changed-batch', event => batchRegister.push( event ) );
+        });
+
+        it( 'Should emit one batch per time window instead of single events', async function() {
+
+            ct.destroy();
+            ct = new SequelizeChangeTracker({ models: Object.values( models ), batch: { window: 20 } });
+            ct.on( 'data-changed', event => changeRegister.push( event ) );
+            ct.on( 'data-changed-batch', event => batchRegister.push( event ) );
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            await models.B.create();
+            await models.B.create();
+
+            expect( batchRegister ).to.have.length( 0 );
+
+            await pause( 0.05 );
+
+            expect( changeRegister ).to.have.length( 0 );
+            expect( batchRegister ).to.have.length( 1 );
+            expect( batchRegister[ 0 ].subscriptions ).to.have.length( 1 );
+            expect( batchRegister[ 0 ].subscriptions[ 0 ].subscriptionId ).to.equal( 1 );
+            expect( batchRegister[ 0 ].subscriptions[ 0 ].changes ).to.have.length( 2 );
+        });
+
+        it( 'Should merge repeated changes of an instance', async function() {
+
+            const b = await models.B.create({ value: 'first' });
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, instanceId: b.id });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 2, instanceId: b.id });
+
+            for ( let i = 0; i < 20; i++ ) {
+                await b.update({ value: 'value ' + i });
+            }
+
+            ct.flush();
+
+            expect( batchRegister ).to.have.length( 1 );
+            expect( batchRegister[ 0 ].subscriptions.map( s => s.subscriptionId ) ).to.deep.equal([ 1, 2 ]);
+
+            const changes = batchRegister[ 0 ].subscriptions[ 0 ].changes;
+            expect( changes ).to.have.length( 1 );
+            expect( changes[ 0 ].operation ).to.equal( 'update' );
+            expect( changes[ 0 ].instance.value ).to.equal( 'value 19' );
+            expect( changes[ 0 ].previous.value ).to.equal( 'first' );
+            expect( changes[ 0 ].changedFields ).to.include( 'value' );
+        });
+
+        it( 'Should merge creates with later changes and drop instances deleted in the same batch', async function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            const b1 = await models.B.create({ value: 'first' });
+            await b1.update({ value: 'second' });
+            const b2 = await models.B.create();
+            await b2.destroy();
+
+            ct.flush();
+
+            const changes = batchRegister[ 0 ].subscriptions[ 0 ].changes;
+            expect( changes ).to.have.length( 1 );
+            expect( changes[ 0 ].operation ).to.equal( 'create' );
+            expect( changes[ 0 ].instance.value ).to.equal( 'second' );
+        });
+
+        it( 'Should emit early when the maximum batch size is reached', async function() {
+
+            ct.destroy();
+            ct = new SequelizeChangeTracker({ models: Object.values( models ), batch: { window: 1000, maxSize: 3 } });
+            ct.on( 'data-changed-batch', event => batchRegister.push( event ) );
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            await models.B.bulkCreate([ {}, {}, {}, {} ]);
+
+            expect( batchRegister ).to.have.length( 1 );
+            expect( batchRegister[ 0 ].subscriptions[ 0 ].changes ).to.have.length( 3 );
+        });
+    });
+
+
+    describe( 'Primary keys', function() {
+
+        let Country, Membership;
+        let keyTracker = null;
+        let keyRegister = null;
+
+        beforeEach( async function() {
+
+            Country = sequelize.define( 'Country', {
+                code: { primaryKey: true, type: DataTypes.STRING },
+                value: { type: DataTypes.STRING },
+            });
+            Membership = sequelize.define( 'Membership', {
+                userId: { primaryKey: true, type: DataTypes.STRING },
+                groupId: { primaryKey: true, type: DataTypes.STRING },
+                role: { type: DataTypes.STRING },
+            });
+
+            await sequelize.sync({ force: true });
+
+            keyRegister = [];
+            keyTracker = new SequelizeChangeTracker({ models: [ Country, Membership ] });
+            keyTracker.on( 'data-changed', event => keyRegister.push( event ) );
+        });
+
+        afterEach( function() {
+            keyTracker.destroy();
+        });
+
+        it( 'Should use primary keys with a custom name', async function() {
+
+            const country = await Country.create({ code: 'NL' });
+            await Country.findOne({ where: { code: 'NL' }, trackChanges: { subscriptionId: 1 } });
+
+            expect( keyTracker.subscriptionsByResource.Country.NL ).to.deep.equal([ 1 ]);
+
+            await country.update({ value: 'new' });
+
+            expect( keyRegister ).to.have.length( 1 );
+            expect( keyRegister[ 0 ].subscriptionIds ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should encode composite primary keys', async function() {
+
+            const membership = await Membership.create({ userId: 'u1', groupId: 'g1' }, { trackChanges: { subscriptionId: 1 } });
+            await Membership.create({ userId: 'u1', groupId: 'g2' });
+
+            const instanceId = keyTracker.instanceIdOf( 'Membership', membership.dataValues );
+            expect( instanceId ).to.equal( '["u1","g1"]' );
+            expect( keyTracker.subscriptionsByResource.Membership[ instanceId ] ).to.deep.equal([ 1 ]);
+
+            await membership.update({ role: 'admin' });
+            await Membership.update({ role: 'admin' }, { where: { groupId: 'g2' } });
+
+            expect( keyRegister ).to.have.length( 1 );
+            expect( keyRegister[ 0 ].instance.role ).to.equal( 'admin' );
+        });
+
+        it( 'Should read back bulk updates of many rows with composite primary keys', async function() {
+
+            await Membership.bulkCreate( Array.from({ length: 1200 }, ( _, i ) => ({ userId: `u${i}`, groupId: 'g1' })));
+
+            keyTracker.addSubscription({ modelName: 'Membership', subscriptionId: 1 });
+
+            await Membership.update({ role: 'admin' }, { where: { groupId: 'g1' } });
+
+            expect( keyRegister ).to.have.length( 1200 );
+            expect( new Set( keyRegister.map( e => e.instance.userId )).size ).to.equal( 1200 );
+        });
+
+        it( 'Should accept primary key values as instance id', function() {
+
+            keyTracker.addSubscription({ modelName: 'Membership', subscriptionId: 1, instanceId: { groupId: 'g1', userId: 'u1' } });
+
+            expect( keyTracker.findSubscriptionIndices({ modelName: 'Membership', subscriptionId: 1, instanceId: '["u1","g1"]' }).sbiIndex ).to.equal( 0 );
+            expect( keyTracker.findSubscriptionIndices({ modelName: 'Membership', subscriptionId: 1, instanceId: { userId: 'u1', groupId: 'g1' } }).sbrIndex ).to.equal( 0 );
+
+            keyTracker.removeSubscription({ modelName: 'Membership', subscriptionId: 1, instanceId: { userId: 'u1', groupId: 'g1' } });
+
+            expect( keyTracker.subscriptionsById[ 1 ] ).to.have.length( 0 );
+        });
+    });
+
+    describe( 'Paranoid models', function() {
+
+        let Note;
+        let paranoidTracker = null;
+        let paranoidRegister = null;
+
+        beforeEach( async function() {
+
+            Note = sequelize.define( 'Note', {
+                value: { type: DataTypes.STRING },
+            }, { paranoid: true });
+
+            await sequelize.sync({ force: true });
+
+            paranoidRegister = [];
+            paranoidTracker = new SequelizeChangeTracker({ models: [ Note ] });
+            paranoidTracker.on( 'data-changed', event => paranoidRegister.push( event ) );
+        });
+
+        afterEach( function() {
+            paranoidTracker.destroy();
+        });
+
+        it( 'Should tell soft deletes from hard deletes', async function() {
+
+            const soft = await Note.create({ value: 'soft' });
+            const hard = await Note.create({ value: 'hard' });
+
+            paranoidTracker.addSubscription({ modelName: 'Note', subscriptionId: 1 });
+
+            await soft.destroy();
+            await hard.destroy({ force: true });
+
+            expect( paranoidRegister.map( e => [ e.operation, e.instance.value, e.soft ] )).to.deep.equal([
+                [ 'delete', 'soft', true ],
+                [ 'delete', 'hard', false ],
+            ]);
+            expect( paranoidRegister[ 0 ].instance.deletedAt ).to.be.an.instanceof( Date );
+        });
+
+        it( 'Should tell soft deletes from hard deletes in bulk', async function() {
+
+            await Note.bulkCreate([ { value: 'a' }, { value: 'b' } ]);
+
+            paranoidTracker.addSubscription({ modelName: 'Note', subscriptionId: 1 });
+
+            await Note.destroy({ where: { value: 'a' } });
+            await Note.destroy({ where: { value: 'b' }, force: true });
+
+            expect( paranoidRegister.map( e => [ e.instance.value, e.soft ] )).to.deep.equal([ [ 'a', true ], [ 'b', false ] ]);
+        });
+
+        it( 'Should follow a renamed deletedAt timestamp', async function() {
+
+            const Memo = sequelize.define( 'Memo', {
+                value: { type: DataTypes.STRING },
+            }, { paranoid: true, deletedAt: 'removedAt', underscored: true });
+
+            await Memo.sync({ force: true });
+
+            const memoTracker = new SequelizeChangeTracker({ models: [ Memo ] });
+            const memoRegister = [];
+            memoTracker.on( 'data-changed', event => memoRegister.push( event ) );
+            memoTracker.addSubscription({ modelName: 'Memo', subscriptionId: 1 });
+
+            const memo = await Memo.create({ value: 'a' });
+            await memo.destroy();
+            await memo.restore();
+
+            memoTracker.destroy();
+
+            expect( memoRegister.map( e => [ e.operation, e.soft ] )).to.deep.equal([ [ 'create', undefined ], [ 'delete', true ], [ 'restore', undefined ] ]);
+            expect( memoRegister[ 2 ].changedFields ).to.deep.equal([ 'removedAt' ]);
+            expect( memoRegister[ 2 ].instance.removedAt ).to.equal( null );
+        });
+
+        it( 'Should report bulk restores of more rows than an expression can hold', async function() {
+
+            await Note.bulkCreate( Array.from({ length: 1500 }, () => ({ value: 'a' })));
+            await Note.destroy({ where: { value: 'a' } });
+
+            paranoidTracker.addSubscription({ modelName: 'Note', subscriptionId: 1 });
+
+            await Note.restore({ where: { value: 'a' } });
+
+            expect( paranoidRegister ).to.have.length( 1500 );
+            expect( paranoidRegister.every( e => e.operation === 'restore' && e.instance.deletedAt === null )).to.equal( true );
+        });
+
+        it( 'Should notify generic and specific subscribers of a restore', async function() {
+
+            const note = await Note.create({ value: 'a' }, { trackChanges: { subscriptionId: 1 } });
+            paranoidTracker.addSubscription({ modelName: 'Note', subscriptionId: 2 });
+
+            await note.destroy();
+            await note.restore();
+
+            const restore = paranoidRegister[ 1 ];
+
+            expect( restore.operation ).to.equal( 'restore' );
+            expect( restore.subscriptionIds ).to.have.members([ 1, 2 ]);
+            expect( restore.instance.deletedAt ).to.equal( null );
+            expect( restore.previous.deletedAt ).to.be.an.instanceof( Date );
+            expect( restore.diff ).to.include({ deletedAt: null });
+        });
+
+        it( 'Should report bulk restores per row', async function() {
+
+            const notes = await Note.bulkCreate([ { value: 'a' }, { value: 'b' }, { value: 'c' } ]);
+            await Note.destroy({ where: {} });
+
+            paranoidTracker.addSubscription({ modelName: 'Note', subscriptionId: 1, instanceId: notes[ 0 ].id });
+            paranoidTracker.addSubscription({ modelName: 'Note', subscriptionId: 2 });
+
+            await Note.restore({ where: { value: [ 'a', 'b' ] } });
+
+            expect( paranoidRegister ).to.have.length( 2 );
+            expect( paranoidRegister.map( e => e.instance.value )).to.have.members([ 'a', 'b' ]);
+            expect( paranoidRegister.every( e => e.operation === 'restore' && e.instance.deletedAt === null )).to.equal( true );
+            expect( paranoidRegister.find( e => e.instance.value === 'a' ).subscriptionIds ).to.have.members([ 1, 2 ]);
+        });
+
+        it( 'Should report bulk restores with individual hooks', async function() {
+
+            await Note.bulkCreate([ { value: 'a' }, { value: 'b' } ]);
+            await Note.destroy({ where: {} });
+
+            paranoidTracker.addSubscription({ modelName: 'Note', subscriptionId: 1 });
+
+            await Note.restore({ where: { value: 'a' }, individualHooks: true });
+
+            expect( paranoidRegister ).to.have.length( 1 );
+            expect( paranoidRegister[ 0 ].instance.deletedAt ).to.equal( null );
+            expect( paranoidRegister[ 0 ].previous.deletedAt ).to.be.an.instanceof( Date );
+        });
+    });
+
+    describe( 'Includes', function() {
+
+        let Thread, Post, Comment;
+        let includeTracker = null;
+        let thread, post, comments;
+
+        beforeEach( async function() {
+
+            Thread = sequelize.define( 'Thread', stdFields );
+            Post = sequelize.define( 'Post', stdFields );
+            Comment = sequelize.define( 'Comment', stdFields );
+
+            Thread.hasMany( Post );
+            Post.belongsTo( Thread );
+            Post.hasMany( Comment );
+            Comment.belongsTo( Post );
+
+            await sequelize.sync({ force: true });
+
+            includeTracker = new SequelizeChangeTracker({ models: [ Thread, Post, Comment ] });
+
+            thread = await Thread.create();
+            post = await Post.create({ ThreadId: thread.id });
+            comments = await Comment.bulkCreate([ { PostId: post.id }, { PostId: post.id } ]);
+        });
+
+        afterEach( function() {
+            includeTracker.destroy();
+        });
+
+        it( 'Should subscribe to eagerly loaded instances recursively', async function() {
+
+            await Thread.findOne({
+                where: { id: thread.id },
+                include: [ { model: Post, include: [ Comment ] } ],
+                trackChanges: { subscriptionId: 1 },
+            });
+
+            expect( includeTracker.subscriptionsById[ 1 ].map( s => [ s.modelName, s.instanceId ] )).to.have.deep.members([
+                [ 'Thread', thread.id ],
+                [ 'Post', post.id ],
+                [ 'Comment', comments[ 0 ].id ],
+                [ 'Comment', comments[ 1 ].id ],
+            ]);
+        });
+
+        it( 'Should deliver changes of included instances', async function() {
+
+            const register = [];
+            includeTracker.on( 'data-changed', event => register.push( event ) );
+
+            const loaded = await Post.findOne({ where: { id: post.id }, include: [ Comment ], trackChanges: { subscriptionId: 1 } });
+
+            await loaded.Comments[ 0 ].update({ value: 'new' });
+
+            expect( register ).to.have.length( 1 );
+            expect( register[ 0 ].model ).to.equal( 'Comment' );
+            expect( register[ 0 ].subscriptionIds ).to.deep.equal([ 1 ]);
+        });
+
+        it( 'Should limit the depth of the subscribed includes', async function() {
+
+            await Thread.findOne({
+                where: { id: thread.id },
+                include: [ { model: Post, include: [ Comment ] } ],
+                trackChanges: { subscriptionId: 1, includes: 1 },
+            });
+
+            expect( includeTracker.subscriptionsById[ 1 ].map( s => s.modelName )).to.deep.equal([ 'Thread', 'Post' ]);
+        });
+
+        it( 'Should skip includes that opt out', async function() {
+
+            await Thread.findOne({
+                where: { id: thread.id },
+                include: [ { model: Post, trackChanges: false, include: [ Comment ] } ],
+                trackChanges: { subscriptionId: 1 },
+            });
+
+            expect( includeTracker.subscriptionsById[ 1 ].map( s => s.modelName )).to.deep.equal([ 'Thread' ]);
+
+            await Post.findOne({ where: { id: post.id }, include: [ Comment ], trackChanges: { subscriptionId: 2, includes: false } });
+
+            expect( includeTracker.subscriptionsById[ 2 ].map( s => s.modelName )).to.deep.equal([ 'Post' ]);
+        });
+
+        it( 'Should subscribe once to instances that are loaded more than once', async function() {
+
+            await Comment.findAll({ include: [ Post ], trackChanges: { subscriptionId: 1 } });
+
+            expect( includeTracker.subscriptionsByResource.Post[ post.id ] ).to.deep.equal([ 1 ]);
+        });
+    });
+
+    describe( 'Access', function() {
+
+        let Account;
+        let accessTracker = null;
+        let accessRegister = null;
+
+        const access = {
+            Account: {
+                authorize: async ( { context }, modelName, instance ) => context?.admin === true || context?.name === instance.name,
+                project: ( modelName, { passwordHash, ...instance }, { context } ) => context.admin ? instance : { id: instance.id, name: instance.name },
+            },
+        };
+
+        beforeEach( async function() {
+
+            Account = sequelize.define( 'Account', {
+                ...stdFields,
+                name: { type: DataTypes.STRING },
+                passwordHash: { type: DataTypes.STRING },
+            });
+
+            await sequelize.sync({ force: true });
+
+            accessRegister = [];
+            accessTracker = new SequelizeChangeTracker({ models: [ Account ], access });
+            accessTracker.on( 'data-changed', event => accessRegister.push( event ) );
+
+            accessTracker.addSubscription({ modelName: 'Account', subscriptionId: 'admin' });
+            accessTracker.addSubscription({ modelName: 'Account', subscriptionId: 'alice' });
+            accessTracker.addSubscription({ modelName: 'Account', subscriptionId: 'bob' });
+            accessTracker.setSubscriptionContext( 'admin', { admin: true });
+            accessTracker.setSubscriptionContext( 'alice', { name: 'alice' });
+            accessTracker.setSubscriptionContext( 'bob', { name: 'bob' });
+        });
+
+        afterEach( function() {
+            accessTracker.destroy();
+        });
+
+        it( 'Should emit a payload per authorized subscriber', async function() {
+
+            await Account.create({ name: 'alice', value: 'a', passwordHash: 'secret' });
+
+            expect( accessRegister.map( e => e.subscriptionIds )).to.deep.equal([ [ 'admin' ], [ 'alice' ] ]);
+            expect( accessRegister[ 0 ].instance ).to.include({ name: 'alice', value: 'a' });
+            expect( accessRegister[ 1 ].instance ).to.have.all.keys( 'id', 'name' );
+            expect( accessRegister.every( e => ! ( 'passwordHash' in e.instance ) && ! ( 'passwordHash' in e.diff ))).to.equal( true );
+        });
+
+        it( 'Should project previous values, diffs and changed fields', async function() {
+
+            const account = await Account.create({ name: 'alice', value: 'a', passwordHash: 'secret' });
+            accessRegister = [];
+
+            await account.update({ value: 'b', passwordHash: 'other' });
+
+            const [ admin, alice ] = accessRegister;
+
+            expect( admin.changedFields ).to.have.members([ 'value', 'updatedAt' ]);
+            expect( admin.diff ).to.include({ value: 'b' });
+            expect( admin.previous ).to.include({ value: 'a' }).and.not.to.have.property( 'passwordHash' );
+            expect( alice.changedFields ).to.deep.equal([]);
+            expect( alice.diff ).to.deep.equal({});
+        });
+
+        it( 'Should take the subscription context from trackChanges', async function() {
+
+            accessTracker.removeSubscriptionAllModels( 'bob' );
+
+            const account = await Account.create({ name: 'bob' });
+            await Account.findOne({ where: { id: account.id }, trackChanges: { subscriptionId: 'bob', context: { name: 'bob' } } });
+            accessRegister = [];
+
+            await account.update({ value: 'new' });
+
+            expect( accessRegister.map( e => e.subscriptionIds[ 0 ] )).to.deep.equal([ 'admin', 'bob' ]);
+        });
+
+        it( 'Should forget the context of removed subscription ids', function() {
+
+            accessTracker.removeSubscriptionAllModels( 'alice' );
+
+            expect( accessTracker.subscriptionContexts.has( 'alice' )).to.equal( false );
+        });
+    });
+
+    describe( 'Model configuration', function() {
+
+        let Thread, Post, Audit;
+        let configTracker = null;
+        let configRegister = null;
+
+        beforeEach( async function() {
+
+            Thread = sequelize.define( 'Thread', stdFields );
+            Post = sequelize.define( 'Post', { ...stdFields, views: { type: DataTypes.INTEGER } });
+            Audit = sequelize.define( 'Audit', stdFields );
+
+            Thread.hasMany( Post );
+            Post.belongsTo( Thread );
+            Thread.hasMany( Audit );
+            Audit.belongsTo( Thread );
+            Audit.belongsTo( Post );
+
+            await sequelize.sync({ force: true });
+
+            configRegister = [];
+            configTracker = new SequelizeChangeTracker({ models: [
+                Thread,
+                { model: Post, ignoreFields: [ 'views' ], cascade: [ 'Thread' ], generic: [ 'delete' ] },
+                { model: Audit, operations: [ 'create' ], cascade: false },
+            ]});
+            configTracker.on( 'data-changed', event => configRegister.push( event ) );
+        });
+
+        afterEach( function() {
+            configTracker.destroy();
+        });
+
+        it( 'Should accept models and model configurations', function() {
+
+            expect( configTracker.modelNames ).to.deep.equal([ 'Thread', 'Post', 'Audit' ]);
+            expect( configTracker.modelConfigs.Thread ).to.deep.equal({ operations: null, ignoreFields: [], cascade: true, generic: true });
+        });
+
+        it( 'Should only cascade along the configured associations', function() {
+
+            expect( configTracker.dependingModelMap.Post ).to.deep.equal([ { name: 'Thread', foreignKey: 'ThreadId' } ]);
+            expect( configTracker.dependingModelMap.Audit ).to.deep.equal([]);
+        });
+
+        it( 'Should only report the configured operations', async function() {
+
+            configTracker.addSubscription({ modelName: 'Audit', subscriptionId: 1 });
+
+            const audit = await Audit.create();
+            await audit.update({ value: 'new' });
+            await audit.destroy();
+
+            expect( configRegister.map( e => e.operation )).to.deep.equal([ 'create' ]);
+        });
+
+        it( 'Should only report the configured generic operations', async function() {
+
+            configTracker.addSubscription({ modelName: 'Post', subscriptionId: 1 });
+
+            const post = await Post.create();
+            await post.update({ value: 'new' });
+            await post.destroy();
+
+            expect( configRegister.map( e => e.operation )).to.deep.equal([ 'delete' ]);
+        });
+
+        it( 'Should not report updates of ignored fields', async function() {
+
+            const thread = await Thread.create();
+            const post = await Post.create({ ThreadId: thread.id });
+
+            configTracker.addSubscription({ modelName: 'Post', subscriptionId: 1, instanceId: post.id });
+            configTracker.addSubscription({ modelName: 'Thread', subscriptionId: 2, instanceId: thread.id });
+
+            await post.update({ views: 1 });
+            await Post.update({ views: 2 }, { where: { id: post.id } });
+            await post.update({ value: 'new', views: 3 });
+
+            expect( configRegister ).to.have.length( 2 );
+            expect( configRegister.map( e => e.subscriptionIds )).to.deep.equal([ [ 1 ], [ 2 ] ]);
+        });
+
+        it( 'Should ignore a renamed updatedAt timestamp along with the ignored fields', async function() {
+
+            const Page = sequelize.define( 'Page', {
+                value: { type: DataTypes.STRING },
+                views: { type: DataTypes.INTEGER },
+            }, { updatedAt: 'modifiedAt', underscored: true });
+
+            await Page.sync({ force: true });
+
+            const pageTracker = new SequelizeChangeTracker({ models: [ { model: Page, ignoreFields: [ 'views' ] } ] });
+            const pageRegister = [];
+            pageTracker.on( 'data-changed', event => pageRegister.push( event ) );
+
+            const page = await Page.create({ value: 'a' });
+            pageTracker.addSubscription({ modelName: 'Page', subscriptionId: 1, instanceId: page.id });
+
+            await page.update({ views: 1 });
+            await page.update({ value: 'b' });
+
+            pageTracker.destroy();
+
+            expect( pageRegister.map( e => e.instance.value )).to.deep.equal([ 'b' ]);
+        });
+    });
+
+
+    describe( 'Upserts, increments and raw queries', function() {
+
+        let Counter;
+        let counterTracker = null;
+        let counterRegister = null;
+
+        beforeEach( async function() {
+
+            Counter = sequelize.define( 'Counter', { 
+                ...stdFields, 
+                code: { type: DataTypes.STRING, unique: true },
+                count: { type: DataTypes.INTEGER, defaultValue: 0 },
+            });
+
+            await sequelize.sync({ force: true });
+
+            counterRegister = [];
+            counterTracker = new SequelizeChangeTracker({ models: [ Counter ] });
+            counterTracker.on( 'data-changed', event => counterRegister.push( event ) );
+            counterTracker.addSubscription({ modelName: 'Counter', subscriptionId: 1 });
+        });
+
+        afterEach( function() {
+            counterTracker.destroy();
+        });
+
+        it( 'Should tell created from updated rows on upsert', async function() {
+
+            await Counter.upsert({ code: 'a', count: 1 });
+            await Counter.upsert({ code: 'a', count: 2 });
+
+            const counter = await Counter.findOne({ where: { code: 'a' } });
+
+            counterTracker.addSubscription({ modelName: 'Counter', subscriptionId: 2, instanceId: counter.id });
+
+            await Counter.upsert({ id: counter.id, code: 'a', count: 3 });
+
+            expect( counterRegister.map( e => e.operation )).to.deep.equal([ 'create', 'update', 'update' ]);
+            expect( counterRegister[ 1 ].instance.id ).to.equal( counter.id );
+            expect( counterRegister[ 1 ].diff ).to.include({ count: 2 });
+            expect( counterRegister[ 2 ].subscriptionIds ).to.have.members([ 1, 2 ]);
+        });
+
+        it( 'Should find the row of an upsert by the unique indexes of the model', async function() {
+
+            const Slot = sequelize.define( 'Slot', {
+                ...stdFields,
+                shelf: { type: DataTypes.STRING },
+                position: { type: DataTypes.INTEGER },
+            }, { indexes: [ { unique: true, fields: [ 'shelf', 'position' ] } ] });
+
+            await Slot.sync({ force: true });
+
+            const slotTracker = new SequelizeChangeTracker({ models: [ Slot ] });
+            const slotRegister = [];
+            slotTracker.on( 'data-changed', event => slotRegister.push( event ) );
+            slotTracker.addSubscription({ modelName: 'Slot', subscriptionId: 1 });
+
+            const queries = [];
+
+            await Slot.upsert({ shelf: 'a', position: 1, value: 'first' });
+            await Slot.upsert({ shelf: 'a', position: 1, value: 'second' }, { logging: sql => queries.push( sql ) });
+
+            slotTracker.destroy();
+
+            const slot = await Slot.findOne();
+
+            expect( slotRegister.map( e => e.operation )).to.deep.equal([ 'create', 'update' ]);
+            expect( slotRegister[ 1 ].instance ).to.include({ id: slot.id, value: 'second' });
+            expect( slotRegister[ 1 ].diff ).to.include({ value: 'second' });
+
+            // the row before and after the upsert, sqlite returns neither it nor whether it was created
+
+            expect( queries.filter( sql => sql.includes( 'SELECT' ))).to.have.length( 2 );
+        });
+
+        it( 'Should report increments and decrements as updates', async function() {
+
+            const counter = await Counter.create({ code: 'a' });
+            const other = await Counter.create({ code: 'b', count: 5 });
+
+            counterRegister = [];
+            counterTracker.addSubscription({ modelName: 'Counter', subscriptionId: 2, instanceId: counter.id });
+
+            await counter.increment( 'count', { by: 2 });
+            await Counter.decrement( 'count', { where: { code: [ 'a', 'b' ] } });
+            await Counter.increment( 'count', { where: { code: 'none' } });
+
+            expect( counterRegister.map( e => e.operation )).to.deep.equal([ 'update', 'update', 'update' ]);
+            expect( counterRegister[ 0 ].subscriptionIds ).to.have.members([ 1, 2 ]);
+            expect( counterRegister[ 0 ].changedFields ).to.include( 'count' );
+            expect( counterRegister[ 0 ].diff ).to.include({ count: 2 });
+            expect( counterRegister.slice( 1 ).map( e => [ e.instance.id, e.diff.count ] )).to.have.deep.members([ [ counter.id, 1 ], [ other.id, 4 ] ]);
+        });
+
+        it( 'Should report increments of more rows than an expression can hold', async function() {
+
+            await Counter.bulkCreate( Array.from({ length: 1500 }, ( _, i ) => ({ code: `c${i}` })));
+
+            counterRegister = [];
+
+            await Counter.increment( 'count', { where: { count: 0 } });
+
+            expect( counterRegister ).to.have.length( 1500 );
+            expect( counterRegister.every( e => e.operation === 'update' && e.diff.count === 1 )).to.equal( true );
+        });
+
+        it( 'Should report changes of raw queries', async function() {
+
+            const counter = await Counter.create({ code: 'a' });
+
+            counterRegister = [];
+
+            await sequelize.query( `UPDATE Counters SET count = 7 WHERE id = '${counter.id}'` );
+            await counterTracker.notifyRaw({ modelName: 'Counter', operation: 'update', ids: [ counter.id ], changedFields: [ 'count' ] });
+
+            await sequelize.query( `DELETE FROM Counters WHERE id = '${counter.id}'` );
+            await counterTracker.notifyRaw({ modelName: 'Counter', operation: 'delete', ids: [ { id: counter.id } ] });
+
+            expect( counterRegister.map( e => e.operation )).to.deep.equal([ 'update', 'delete' ]);
+            expect( counterRegister[ 0 ].instance ).to.include({ id: counter.id, count: 7 });
+            expect( counterRegister[ 0 ].changedFields ).to.deep.equal([ 'count' ]);
+            expect( counterRegister[ 1 ].instance ).to.deep.equal({ id: counter.id });
+
+            let error = null;
+
+            try {
+                await counterTracker.notifyRaw({ modelName: 'Unknown', operation: 'create', ids: [ 1 ] });
+            }
+            catch ( e ) {
+                error = e;
+            }
+
+            expect( error?.message ).to.equal( 'Unknown model: Unknown' );
+        });
+    });
+
+
+    describe( 'State', function() {
+
+        it( 'Should hand the subscriptions over to another tracker', async function() {
+
+            const a = await models.A.create();
+
+            ct.addSubscription({ modelName: 'A', subscriptionId: 1, instanceId: a.id, fields: [ 'value' ], ttl: 60000 });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 'x', where: { value: 'new' } });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 2, where: data => data.value === 'new' });
+
+            const { state, dropped } = ct.exportState();
+            const subscriptionsById = ct.subscriptionsById;
+
+            expect( dropped.map( d => [ d.entry.subscriptionId, d.reason ] )).to.deep.equal([ [ 2, 'Function where' ] ]);
+
+            ct.destroy();
+
+            ct = new SequelizeChangeTracker({ models: Object.values( models ) });
+            ct.on( 'data-changed', event => changeRegister.push( event ) );
+
+            expect( ct.importState( state )).to.deep.equal({ imported: 2, dropped: [] });
+            expect( ct.subscriptionsById[ 1 ] ).to.deep.equal( subscriptionsById[ 1 ] );
+            expect( ct.subscriptionsById.x ).to.deep.equal( subscriptionsById.x );
+            expect( ct.subscriptionsByResource.A[ a.id ] ).to.deep.equal([ 1 ]);
+
+            await a.update({ value: 'new' });
+            await models.B.create({ value: 'new' });
+
+            expect( changeRegister.map( e => e.subscriptionIds )).to.deep.equal([ [ 1 ], [ 'x' ] ]);
+        });
+
+        it( 'Should leave out where filters that JSON would change', function() {
+
+            const since = new Date();
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1, where: { value: [ 'a', null ], count: 1 } });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 2, where: { createdAt: since } });
+            ct.addSubscription({ modelName: 'B', subscriptionId: 3, where: { createdAt: [ since ] } });
+
+            const { state, dropped } = ct.exportState();
+
+            expect( JSON.parse( state ).subscriptions.map( entry => entry.subscriptionId )).to.deep.equal([ 1 ]);
+            expect( dropped.map( d => [ d.entry.subscriptionId, d.reason ] )).to.deep.equal([
+                [ 2, 'Unserializable where value' ],
+                [ 3, 'Unserializable where value' ],
+            ]);
+            expect( dropped[ 0 ].entry.where.createdAt ).to.equal( since );
+        });
+
+        it( 'Should report the entries it drops', function() {
+
+            ct.addSubscription({ modelName: 'B', subscriptionId: 1 });
+
+            const subscriptions = [
+                { subscriptionId: 1, modelName: 'B', generic: true },
+                { subscriptionId: 2, modelName: 'Unknown', generic: true },
+                { subscriptionId: 3, modelName: 'A', instanceId: 'a', ttl: 1000, expiresAt: Date.now() - 1 },
+                { subscriptionId: 4, modelName: 'A' },
+                { subscriptionId: 5, modelName: 'A', instanceId: 'a', fields: 'value' },
+                'invalid',
+                { subscriptionId: 6, modelName: 'A', instanceId: 'a' },
+            ];
+
+            const { imported, dropped } = ct.importState({ version: 1, subscriptions });
+
+            expect( imported ).to.equal( 1 );
+            expect( dropped.map( d => d.reason )).to.deep.equal([ 
+                'Already subscribed', 
+                'Unknown model: Unknown', 
+                'Expired', 
+                'Invalid instance id', 
+                'Invalid fields', 
+                'Invalid entry',
+            ]);
+            expect( dropped[ 1 ].entry ).to.equal( subscriptions[ 1 ] );
+            expect( ct.subscriptionsByResource.A.a ).to.deep.equal([ 6 ]);
+        });
+
+        it( 'Should refuse anything but an exported state', function() {
+            expect( () => ct.importState({ subscriptions: [] }) ).to.throw( 'Invalid subscription state' );
+            expect( () => ct.importState( '[]' ) ).to.throw( 'Invalid subscription state' );
+        });
+    });
 });
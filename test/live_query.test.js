@@ -0,0 +1,212 @@
+'use strict'
+
+import { expect } from 'chai';
+import { Sequelize, DataTypes, Op } from 'sequelize';
+import SequelizeChangeTracker, { LiveQuery } from '../index.js';
+
+const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+const stdFields = { 
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 }, 
+    value: { type: DataTypes.STRING },
+    score: { type: DataTypes.INTEGER },
+};
+
+describe( 'Live queries', function() {
+
+    describe( 'LiveQuery', function() {
+
+        const matches = ( where, data ) => new LiveQuery({ subscriptionId: 1, modelName: 'Item', where }).matches( data );
+
+        it( 'Should evaluate plain values, arrays and null', function() {
+            expect( matches({ value: 'a' }, { value: 'a' }) ).to.equal( true );
+            expect( matches({ value: 'a' }, { value: 'b' }) ).to.equal( false );
+            expect( matches({ value: [ 'a', 'b' ] }, { value: 'b' }) ).to.equal( true );
+            expect( matches({ value: null }, { value: null }) ).to.equal( true );
+            expect( matches( undefined, { value: 'a' }) ).to.equal( true );
+        });
+
+        it( 'Should evaluate comparison operators', function() {
+            expect( matches({ score: { [ Op.gt ]: 5 } }, { score: 6 }) ).to.equal( true );
+            expect( matches({ score: { [ Op.gt ]: 5 } }, { score: 5 }) ).to.equal( false );
+            expect( matches({ score: { [ Op.gte ]: 5, [ Op.lt ]: 10 } }, { score: 5 }) ).to.equal( true );
+            expect( matches({ score: { [ Op.between ]: [ 1, 3 ] } }, { score: 4 }) ).to.equal( false );
+            expect( matches({ score: { [ Op.ne ]: 5 } }, { score: null }) ).to.equal( false );
+            expect( matches({ score: { [ Op.notIn ]: [ 1, 2 ] } }, { score: 3 }) ).to.equal( true );
+            expect( matches({ date: { [ Op.lt ]: new Date( 2000, 1, 1 ) } }, { date: new Date( 1999, 1, 1 ) }) ).to.equal( true );
+        });
+
+        it( 'Should not take missing values or values of another type for equal', function() {
+            expect( matches({ ownerId: 5 }, { owner_id: 5 }) ).to.equal( false );
+            expect( matches({ score: { [ Op.gte ]: 5 } }, { score: null }) ).to.equal( false );
+            expect( matches({ score: 5 }, { score: '5' }) ).to.equal( false );
+            expect( matches({ score: { [ Op.ne ]: 5 } }, { score: '5' }) ).to.equal( true );
+            expect( matches({ score: [ 5 ] }, {}) ).to.equal( false );
+        });
+
+        it( 'Should evaluate like operators', function() {
+            expect( matches({ value: { [ Op.like ]: 'ab%' } }, { value: 'abc' }) ).to.equal( true );
+            expect( matches({ value: { [ Op.like ]: 'a_c' } }, { value: 'abc' }) ).to.equal( true );
+            expect( matches({ value: { [ Op.like ]: 'a.c' } }, { value: 'abc' }) ).to.equal( false );
+            expect( matches({ value: { [ Op.iLike ]: 'AB%' } }, { value: 'abc' }) ).to.equal( true );
+            expect( matches({ value: { [ Op.substring ]: 'b' } }, { value: 'abc' }) ).to.equal( true );
+        });
+
+        it( 'Should evaluate logical operators', function() {
+
+            const where = { [ Op.or ]: [ { value: 'a' }, { score: { [ Op.gt ]: 5 } } ] };
+
+            expect( matches( where, { value: 'b', score: 6 }) ).to.equal( true );
+            expect( matches( where, { value: 'b', score: 1 }) ).to.equal( false );
+            expect( matches({ [ Op.not ]: { value: 'a' } }, { value: 'a' }) ).to.equal( false );
+        });
+
+        it( 'Should refuse what it can not evaluate in memory', function() {
+            expect( () => matches({ value: { [ Op.regexp ]: '^a' } }, {}) ).to.throw( 'Unsupported operator in live query: regexp' );
+            expect( () => matches({ '$Parent.value$': 'a' }, {}) ).to.throw( 'Unsupported field in live query: $Parent.value$' );
+            expect( () => matches({ value: sequelize.fn( 'lower', 'A' ) }, {}) ).to.throw( 'Unsupported condition in live query on value' );
+        });
+    });
+
+    describe( 'Tracking', function() {
+
+        let Item;
+        let tracker = null;
+        let liveRegister = null;
+
+        beforeEach( async function() {
+
+            Item = sequelize.define( 'Item', stdFields );
+
+            await sequelize.sync({ force: true });
+
+            liveRegister = [];
+            tracker = new SequelizeChangeTracker({ models: [ Item ] });
+            tracker.on( 'live-query-changed', event => liveRegister.push({ ...event, instance: { ...event.instance } }) );
+        });
+
+        afterEach( function() {
+            tracker.destroy();
+        });
+
+        it( 'Should record the result set of a live find', async function() {
+
+            const [ a ] = await Item.bulkCreate([ { score: 8 }, { score: 2 } ]);
+
+            await Item.findAll({ where: { score: { [ Op.gt ]: 5 } }, trackChanges: { subscriptionId: 1, live: true } });
+
+            expect( tracker.liveQueries.Item ).to.have.length( 1 );
+            expect( [ ...tracker.liveQueries.Item[ 0 ].members ] ).to.deep.equal([ a.id ]);
+            expect( tracker.subscriptionsById[ 1 ] ).to.equal( undefined );
+        });
+
+        it( 'Should emit enter, update and leave events', async function() {
+
+            const [ a, b ] = await Item.bulkCreate([ { score: 8 }, { score: 2 } ]);
+
+            await Item.findAll({ where: { score: { [ Op.gt ]: 5 } }, trackChanges: { subscriptionId: 1, live: true } });
+
+            await b.update({ score: 6 });
+            await a.update({ value: 'new' });
+            await a.update({ score: 1 });
+            await Item.create({ score: 9 });
+            await Item.create({ score: 0 });
+            await b.destroy();
+
+            expect( liveRegister.map( e => [ e.operation, e.instance.score ] )).to.deep.equal([
+                [ 'enter', 6 ],
+                [ 'update', 8 ],
+                [ 'leave', 1 ],
+                [ 'enter', 9 ],
+                [ 'leave', 6 ],
+            ]);
+            expect( liveRegister[ 0 ].subscriptionIds ).to.deep.equal([ 1 ]);
+            expect( liveRegister[ 0 ].previous.score ).to.equal( 2 );
+        });
+
+        it( 'Should report bulk updates', async function() {
+
+            await Item.bulkCreate([ { score: 1 }, { score: 2 } ]);
+
+            await Item.findAll({ where: { score: { [ Op.gte ]: 3 } }, trackChanges: { subscriptionId: 1, live: true } });
+
+            await Item.update({ score: 3 }, { where: { score: 1 } });
+
+            expect( liveRegister.map( e => e.operation )).to.deep.equal([ 'enter' ]);
+        });
+
+        it( 'Should remove live queries with the other subscriptions', async function() {
+
+            await Item.findAll({ where: { score: 1 }, trackChanges: { subscriptionId: 1, live: true } });
+
+            tracker.removeSubscriptionAllModels( 1 );
+
+            await Item.create({ score: 1 });
+
+            expect( tracker.liveQueries.Item ).to.have.length( 0 );
+            expect( liveRegister ).to.have.length( 0 );
+        });
+
+        it( 'Should expire live queries', async function() {
+
+            await Item.findAll({ where: { score: 1 }, trackChanges: { subscriptionId: 1, live: true, ttl: -1 } });
+
+            tracker.sweep();
+
+            expect( tracker.liveQueries.Item ).to.have.length( 0 );
+        });
+
+        it( 'Should refuse live finds it can not evaluate', async function() {
+
+            let error = null;
+
+            try {
+                await Item.findAll({ where: sequelize.where( sequelize.fn( 'lower', sequelize.col( 'value' )), 'a' ), trackChanges: { subscriptionId: 1, live: true } });
+            }
+            catch ( e ) {
+                error = e;
+            }
+
+            expect( error?.message ).to.equal( 'Unsupported where clause in live query' );
+        });
+
+        it( 'Should refuse paged live finds', async function() {
+
+            let error = null;
+
+            try {
+                await Item.findAll({ where: { score: 1 }, limit: 10, trackChanges: { subscriptionId: 1, live: true } });
+            }
+            catch ( e ) {
+                error = e;
+            }
+
+            expect( error?.message ).to.equal( 'Unsupported limit or offset in live query' );
+            expect( tracker.liveQueries.Item ).to.have.length( 0 );
+        });
+
+        it( 'Should evaluate where clauses on attributes mapped to other columns', async function() {
+
+            const Task = sequelize.define( 'Task', {
+                ...stdFields,
+                ownerId: { type: DataTypes.INTEGER, field: 'owner_id' },
+            });
+
+            await Task.sync({ force: true });
+
+            const taskTracker = new SequelizeChangeTracker({ models: [ Task ] });
+            const taskRegister = [];
+            taskTracker.on( 'live-query-changed', event => taskRegister.push( event ) );
+
+            await Task.create({ ownerId: 5 });
+            await Task.findAll({ where: { ownerId: 5 }, trackChanges: { subscriptionId: 1, live: true } });
+
+            await Task.create({ ownerId: 7 });
+            await Task.create({ ownerId: 5 });
+
+            taskTracker.destroy();
+
+            expect( taskRegister.map( e => [ e.operation, e.instance.ownerId ] )).to.deep.equal([ [ 'enter', 5 ] ]);
+        });
+    });
+});
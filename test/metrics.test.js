@@ -0,0 +1,104 @@
+'use strict'
+
+import { expect } from 'chai';
+import { Sequelize, DataTypes } from 'sequelize';
+import SequelizeChangeTracker, { prometheusMetrics } from '../index.js';
+
+const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+const stdFields = { 
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 }, 
+    value: { type: DataTypes.STRING }
+};
+
+describe( 'Metrics', function() {
+
+    let Item = null;
+    let Other = null;
+    let ct = null;
+
+    beforeEach( async function() {
+        Item = sequelize.define( 'Item', stdFields );
+        Other = sequelize.define( 'Other', stdFields );
+        await sequelize.sync({ force: true });
+        ct = new SequelizeChangeTracker({ models: [ Item, Other ] });
+    });
+
+    afterEach( function() {
+        ct.destroy();
+    });
+
+    it( 'Should count the subscriptions per model', async function() {
+
+        const hot = await Item.create();
+        const cold = await Item.create();
+
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1 });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1, instanceId: hot.id });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 2, instanceId: hot.id });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 3, instanceId: cold.id });
+        await Other.findAll({ trackChanges: { subscriptionId: 4, live: true } });
+
+        const stats = ct.stats();
+
+        expect( stats.models.Item ).to.deep.equal({ generic: 1, specific: 3, instances: 2, liveQueries: 0 });
+        expect( stats.models.Other ).to.deep.equal({ generic: 0, specific: 0, instances: 0, liveQueries: 1 });
+        expect( stats.subscribers ).to.equal( 4 );
+        expect( stats.hottestInstances[ 0 ] ).to.deep.equal({ modelName: 'Item', instanceId: hot.id, subscriptions: 2 });
+        expect( ct.stats({ top: 1 }).hottestInstances ).to.have.length( 1 );
+    });
+
+    it( 'Should count the events and their fan-out', async function() {
+
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1 });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 2 });
+
+        const item = await Item.create();
+        await item.update({ value: 'new' });
+        await Other.create();
+
+        const stats = ct.stats();
+
+        expect( stats.events ).to.deep.equal({ create: 1, update: 1 });
+        expect( stats.eventsTotal ).to.equal( 2 );
+        expect( stats.deliveries ).to.equal( 4 );
+        expect( stats.averageFanOut ).to.equal( 2 );
+        expect( stats.eventsPerSecond ).to.be.above( 0 );
+    });
+
+    it( 'Should list the subscriptions of a subscription id', async function() {
+
+        const item = await Item.create();
+
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1, fields: [ 'value' ] });
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1, instanceId: item.id });
+        await Other.findAll({ where: { value: 'a' }, trackChanges: { subscriptionId: 1, live: true } });
+
+        const subscriptions = ct.listSubscriptions( 1 );
+
+        expect( subscriptions ).to.deep.equal([
+            { modelName: 'Item', generic: true, fields: [ 'value' ] },
+            { modelName: 'Item', instanceId: item.id },
+            { modelName: 'Other', live: true, where: { value: 'a' }, size: 0 },
+        ]);
+
+        subscriptions[ 0 ].generic = false;
+
+        expect( ct.subscriptionsById[ 1 ][ 0 ].generic ).to.equal( true );
+        expect( ct.listSubscriptions( 2 )).to.deep.equal([]);
+    });
+
+    it( 'Should export the stats in the Prometheus format', async function() {
+
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1 });
+        await Item.create();
+
+        const text = prometheusMetrics( ct, { prefix: 'ct' });
+
+        expect( text ).to.include( '# TYPE ct_subscriptions gauge\n' );
+        expect( text ).to.include( 'ct_subscriptions{model="Item",kind="generic"} 1\n' );
+        expect( text ).to.include( 'ct_subscribers 1\n' );
+        expect( text ).to.include( '# TYPE ct_events_total counter\nct_events_total{operation="create"} 1\n' );
+        expect( text ).to.include( 'ct_deliveries_total 1\n' );
+    });
+});
@@ -0,0 +1,192 @@
+'use strict'
+
+import { expect } from 'chai';
+import { Sequelize, DataTypes } from 'sequelize';
+import SequelizeChangeTracker from '../index.js';
+
+const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+const stdFields = { 
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 }, 
+    value: { type: DataTypes.STRING }
+};
+
+describe( 'Subscription handles', function() {
+
+    let Item = null;
+    let ct = null;
+
+    beforeEach( async function() {
+        Item = sequelize.define( 'Item', stdFields );
+        await sequelize.sync({ force: true });
+        ct = new SequelizeChangeTracker({ models: [ Item ] });
+    });
+
+    afterEach( function() {
+        ct.destroy();
+    });
+
+    it( 'Should iterate the changes of the subscription', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item' });
+
+        await Item.create({ value: 'a' });
+        await Item.create({ value: 'b' });
+
+        const values = [];
+
+        for await ( let change of handle ) {
+            values.push( change.instance.value );
+            if ( values.length === 2 ) {
+                break;
+            }
+        }
+
+        expect( values ).to.deep.equal([ 'a', 'b' ]);
+    });
+
+    it( 'Should wait for changes', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item' });
+
+        const next = handle.next();
+
+        await Item.create({ value: 'a' });
+
+        expect( ( await next ).value.instance.value ).to.equal( 'a' );
+    });
+
+    it( 'Should emit changes', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item' });
+        const other = ct.subscribe({ modelName: 'Item', subscriptionId: 'other', where: { value: 'b' } });
+
+        const changes = [];
+        handle.on( 'change', change => changes.push( change ));
+
+        await Item.create({ value: 'a' });
+
+        expect( changes ).to.have.length( 1 );
+        expect( other.buffer ).to.have.length( 0 );
+    });
+
+    it( 'Should only receive the changes of its instance', async function() {
+
+        const item = await Item.create();
+        await Item.create();
+
+        const handle = ct.subscribe({ modelName: 'Item', instanceId: item.id });
+
+        await Item.update({ value: 'new' }, { where: {} });
+
+        expect( handle.buffer ).to.have.length( 1 );
+        expect( handle.buffer[ 0 ].instance.id ).to.equal( item.id );
+    });
+
+    it( 'Should remove the subscription when the loop is left', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item', subscriptionId: 1 });
+
+        await Item.create();
+
+        for await ( let change of handle ) {
+            break;
+        }
+
+        expect( handle.closed ).to.equal( true );
+        expect( ct.subscriptionsByResource.Item.generic ).to.deep.equal([]);
+
+        // the subscription id can be used again
+
+        ct.subscribe({ modelName: 'Item', subscriptionId: 1 });
+    });
+
+    it( 'Should end the iteration when the handle is closed', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item' });
+
+        const next = handle.next();
+
+        handle.close();
+
+        expect( await next ).to.deep.equal({ value: undefined, done: true });
+        expect( ct.subscriptionsByResource.Item.generic ).to.deep.equal([]);
+    });
+
+    it( 'Should drop the oldest changes when the buffer is full', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item', bufferSize: 2 });
+
+        const dropped = [];
+        handle.on( 'overflow', change => dropped.push( change.instance.value ));
+
+        for ( let value of [ 'a', 'b', 'c' ] ) {
+            await Item.create({ value });
+        }
+
+        expect( dropped ).to.deep.equal([ 'a' ]);
+        expect( handle.buffer.map( c => c.instance.value )).to.deep.equal([ 'b', 'c' ]);
+    });
+
+    it( 'Should drop the newest changes when configured', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item', bufferSize: 2, overflow: 'drop-newest' });
+
+        for ( let value of [ 'a', 'b', 'c' ] ) {
+            await Item.create({ value });
+        }
+
+        expect( handle.buffer.map( c => c.instance.value )).to.deep.equal([ 'a', 'b' ]);
+    });
+
+    it( 'Should fail the iteration on overflow when configured', async function() {
+
+        const handle = ct.subscribe({ modelName: 'Item', bufferSize: 1, overflow: 'error' });
+
+        await Item.create({ value: 'a' });
+        await Item.create({ value: 'b' });
+
+        expect( handle.closed ).to.equal( true );
+        expect( ( await handle.next() ).value.instance.value ).to.equal( 'a' );
+
+        let error = null;
+        try {
+            await handle.next();
+        }
+        catch ( e ) {
+            error = e;
+        }
+
+        expect( error?.message ).to.match( /overflowed/ );
+    });
+
+    it( 'Should receive batched changes one by one', async function() {
+
+        ct.destroy();
+        ct = new SequelizeChangeTracker({ models: [ Item ], batch: { window: 10000 } });
+
+        const handle = ct.subscribe({ modelName: 'Item' });
+
+        await Item.create({ value: 'a' });
+        await Item.create({ value: 'b' });
+        ct.flush();
+
+        expect( handle.buffer.map( c => c.instance.value )).to.deep.equal([ 'a', 'b' ]);
+    });
+
+    it( 'Should close the handles when the tracker is destroyed', function() {
+
+        const handle = ct.subscribe({ modelName: 'Item' });
+
+        ct.destroy();
+
+        expect( handle.closed ).to.equal( true );
+    });
+
+    it( 'Should refuse a second handle for a subscription id', function() {
+
+        ct.subscribe({ modelName: 'Item', subscriptionId: 1 });
+
+        expect( () => ct.subscribe({ modelName: 'Item', subscriptionId: 1 }) ).to.throw( 'Subscription id already has a handle' );
+    });
+});
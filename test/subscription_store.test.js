@@ -0,0 +1,160 @@
+'use strict'
+
+import { expect } from 'chai';
+import { Sequelize, DataTypes } from 'sequelize';
+import SequelizeChangeTracker, { MemorySubscriptionStore, RedisSubscriptionStore, InProcessPubSub, ChangeLog } from '../index.js';
+import { pause } from './lib.js';
+
+const stdFields = { 
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 }, 
+    value: { type: DataTypes.STRING }
+};
+
+// every "process" gets its own database connection and models
+
+const createProcess = async ( pubSub, changeLog = null ) => {
+
+    const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+    const Item = sequelize.define( 'Item', stdFields );
+    await sequelize.sync({ force: true });
+
+    const store = new RedisSubscriptionStore({ publisher: pubSub, subscriber: pubSub });
+    await store.ready;
+
+    const tracker = new SequelizeChangeTracker({ models: [ Item ], store, changeLog });
+    const changeRegister = [];
+    tracker.on( 'data-changed', event => changeRegister.push( event ) );
+
+    return { Item, tracker, store, changeRegister };
+}
+
+describe( 'Subscription stores', function() {
+
+    describe( 'MemorySubscriptionStore', function() {
+
+        let store = null;
+
+        beforeEach( function() {
+            store = new MemorySubscriptionStore();
+            store.registerModel( 'Item' );
+        });
+
+        it( 'Should add and find subscriptions by resource and by id', function() {
+
+            store.add({ subscriptionId: 1, modelName: 'Item', generic: true });
+            store.add({ subscriptionId: 1, modelName: 'Item', instanceId: 'a', fields: [ 'value' ] });
+
+            expect( store.findByResource( 'Item' ) ).to.deep.equal([ 1 ]);
+            expect( store.findByResource( 'Item', 'a' ) ).to.deep.equal([ 1 ]);
+            expect( store.findByResource( 'Item', 'b' ) ).to.deep.equal( [] );
+            expect( store.findById( 1 ) ).to.deep.equal([
+                { modelName: 'Item', generic: true },
+                { modelName: 'Item', instanceId: 'a', fields: [ 'value' ] },
+            ]);
+            expect( store.hasInstanceSubscriptions( 'Item' ) ).to.equal( true );
+        });
+
+        it( 'Should remove subscriptions', function() {
+
+            store.add({ subscriptionId: 1, modelName: 'Item', instanceId: 'a' });
+
+            expect( store.remove({ subscriptionId: 1, modelName: 'Item', instanceId: 'a' }) ).to.equal( true );
+            expect( store.remove({ subscriptionId: 1, modelName: 'Item', instanceId: 'a' }) ).to.equal( false );
+            expect( store.findByResource( 'Item', 'a' ) ).to.deep.equal( [] );
+            expect( store.findById( 1 ) ).to.deep.equal( [] );
+        });
+    });
+
+    describe( 'RedisSubscriptionStore', function() {
+
+        let pubSub = null;
+        let processA = null;
+        let processB = null;
+
+        beforeEach( async function() {
+            pubSub = new InProcessPubSub();
+            processA = await createProcess( pubSub );
+            processB = await createProcess( pubSub );
+        });
+
+        afterEach( function() {
+            processA.tracker.destroy();
+            processB.tracker.destroy();
+        });
+
+        it( 'Should relay changes to subscribers in other processes', async function() {
+
+            processB.tracker.addSubscription({ modelName: 'Item', subscriptionId: 'b1' });
+
+            const item = await processA.Item.create({ value: 'new' });
+            await pause( 0.01 );
+
+            expect( processA.changeRegister ).to.have.length( 0 );
+            expect( processB.changeRegister ).to.have.length( 1 );
+            expect( processB.changeRegister[ 0 ].operation ).to.equal( 'create' );
+            expect( processB.changeRegister[ 0 ].instance.id ).to.equal( item.id );
+            expect( processB.changeRegister[ 0 ].subscriptionIds ).to.deep.equal([ 'b1' ]);
+        });
+
+        it( 'Should not deliver its own changes twice', async function() {
+
+            processA.tracker.addSubscription({ modelName: 'Item', subscriptionId: 'a1' });
+
+            await processA.Item.create();
+            await pause( 0.01 );
+
+            expect( processA.changeRegister ).to.have.length( 1 );
+        });
+
+        it( 'Should log changes in the process that made them, and their recipients in every process', async function() {
+
+            processA.tracker.destroy();
+            processB.tracker.destroy();
+
+            // the change log is shared by the processes
+
+            const shared = new Sequelize('sqlite::memory:', { logging: false });
+            const changeLog = new ChangeLog({ sequelize: shared });
+            await changeLog.sync();
+
+            processA = await createProcess( pubSub, changeLog );
+            processB = await createProcess( pubSub, new ChangeLog({ sequelize: shared }) );
+
+            processA.tracker.addSubscription({ modelName: 'Item', subscriptionId: 'a1' });
+            processB.tracker.addSubscription({ modelName: 'Item', subscriptionId: 'b1' });
+
+            await processA.Item.create();
+            await pause( 0.01 );
+
+            expect( await changeLog.model.count() ).to.equal( 1 );
+            expect( processB.changeRegister.map( e => e.sequence )).to.deep.equal([ 1 ]);
+
+            const replay = async ( process, subscriptionId ) => {
+                const changes = [];
+                for await ( let change of process.tracker.replay({ since: 0, subscriptionId })) {
+                    changes.push( change );
+                }
+                return changes.map( change => [ change.sequence, change.subscriptionIds ] );
+            };
+
+            expect( await replay( processB, 'b1' )).to.deep.equal([ [ 1, [ 'b1' ] ] ]);
+            expect( await replay( processB, 'a1' )).to.deep.equal([ [ 1, [ 'a1' ] ] ]);
+            expect( await replay( processA, 'b1' )).to.deep.equal([ [ 1, [ 'b1' ] ] ]);
+            expect( await replay( processB, 'c1' )).to.deep.equal([]);
+        });
+
+        it( 'Should stop relaying once destroyed', async function() {
+
+            processB.tracker.addSubscription({ modelName: 'Item', subscriptionId: 'b1' });
+            processB.tracker.destroy();
+
+            const received = [];
+            processB.store.onRelay( operationData => received.push( operationData ));
+
+            await processA.Item.create();
+            await pause( 0.01 );
+
+            expect( received ).to.have.length( 0 );
+        });
+    });
+});
@@ -0,0 +1,204 @@
+'use strict'
+
+import { expect } from 'chai';
+import { EventEmitter } from 'node:events';
+import http from 'node:http';
+import { Sequelize, DataTypes } from 'sequelize';
+import SequelizeChangeTracker, { ChangeTransport } from '../index.js';
+import { pause } from './lib.js';
+
+const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+const stdFields = { 
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 }, 
+    value: { type: DataTypes.STRING }
+};
+
+class FakeSocket extends EventEmitter {
+    messages = [];
+    send( message ) {
+        this.messages.push( JSON.parse( message ));
+    }
+    close() {
+        this.emit( 'close' );
+    }
+}
+
+describe( 'Change transport', function() {
+
+    let Item = null;
+    let ct = null;
+    let transport = null;
+
+    beforeEach( async function() {
+        Item = sequelize.define( 'Item', stdFields );
+        await sequelize.sync({ force: true });
+        ct = new SequelizeChangeTracker({ models: [ Item ] });
+        transport = new ChangeTransport({ tracker: ct });
+    });
+
+    afterEach( function() {
+        transport.close();
+        ct.destroy();
+    });
+
+    describe( 'WebSockets', function() {
+
+        let server = null;
+
+        beforeEach( function() {
+            server = new EventEmitter();
+            transport.attachWebSocketServer( server );
+        });
+
+        it( 'Should send a subscription id to new connections', function() {
+
+            const socket = new FakeSocket();
+            server.emit( 'connection', socket );
+
+            expect( socket.messages[ 0 ].type ).to.equal( 'subscription' );
+            expect( socket.messages[ 0 ].subscriptionId ).to.be.a( 'string' );
+        });
+
+        it( 'Should only send changes to the listed connections', async function() {
+
+            const socket1 = new FakeSocket();
+            const socket2 = new FakeSocket();
+            server.emit( 'connection', socket1 );
+            server.emit( 'connection', socket2 );
+
+            ct.addSubscription({ modelName: 'Item', subscriptionId: socket1.messages[ 0 ].subscriptionId });
+
+            const item = await Item.create({ value: 'new' });
+
+            expect( socket1.messages ).to.have.length( 2 );
+            expect( socket1.messages[ 1 ].type ).to.equal( 'data-changed' );
+            expect( socket1.messages[ 1 ].operation ).to.equal( 'create' );
+            expect( socket1.messages[ 1 ].instance.id ).to.equal( item.id );
+            expect( socket1.messages[ 1 ] ).not.to.have.property( 'subscriptionIds' );
+            expect( socket2.messages ).to.have.length( 1 );
+        });
+
+        it( 'Should send live query changes', async function() {
+
+            const socket = new FakeSocket();
+            server.emit( 'connection', socket );
+            const { subscriptionId } = socket.messages[ 0 ];
+
+            await Item.findAll({ where: { value: 'a' }, trackChanges: { subscriptionId, live: true } });
+            await Item.create({ value: 'a' });
+
+            expect( socket.messages ).to.have.length( 2 );
+            expect( socket.messages[ 1 ].type ).to.equal( 'live-query-changed' );
+            expect( socket.messages[ 1 ].operation ).to.equal( 'enter' );
+        });
+
+        it( 'Should set the subscription context of connections', function() {
+
+            transport.createContext = req => req.user;
+
+            const socket = new FakeSocket();
+            server.emit( 'connection', socket, { user: 'alice' } );
+
+            expect( ct.subscriptionContexts.get( socket.messages[ 0 ].subscriptionId )).to.equal( 'alice' );
+        });
+
+        it( 'Should remove the subscriptions of closed connections', async function() {
+
+            const socket = new FakeSocket();
+            server.emit( 'connection', socket );
+            const { subscriptionId } = socket.messages[ 0 ];
+
+            const item = await Item.create();
+            await Item.findOne({ where: { id: item.id }, trackChanges: { subscriptionId } });
+            ct.addSubscription({ modelName: 'Item', subscriptionId });
+
+            socket.close();
+
+            expect( ct.subscriptionsById[ subscriptionId ] ).to.have.length( 0 );
+            expect( transport.connections.size ).to.equal( 0 );
+        });
+    });
+
+    describe( 'Server-Sent Events', function() {
+
+        let server = null;
+        let port = null;
+
+        beforeEach( async function() {
+            server = http.createServer( ( req, res ) => res.end( 'other' ));
+            transport.attachHttpServer( server, { path: '/changes' } );
+            await new Promise( resolve => server.listen( 0, '127.0.0.1', resolve ));
+            port = server.address().port;
+        });
+
+        afterEach( async function() {
+            server.closeAllConnections();
+            await new Promise( resolve => server.close( resolve ));
+        });
+
+        const openStream = () => new Promise( ( resolve, reject ) => {
+            const events = [];
+            const req = http.get( { host: '127.0.0.1', port, path: '/changes' }, res => {
+                let buffer = '';
+                res.setEncoding( 'utf8' );
+                res.on( 'data', chunk => {
+                    buffer += chunk;
+                    const blocks = buffer.split( '\n\n' );
+                    buffer = blocks.pop();
+                    for ( let block of blocks ) {
+                        const [ eventLine, dataLine ] = block.split( '\n' );
+                        events.push({ event: eventLine.slice( 'event: '.length ), data: JSON.parse( dataLine.slice( 'data: '.length )) });
+                    }
+                    if ( events.length === 1 ) {
+                        resolve({ req, events });
+                    }
+                });
+            });
+            req.on( 'error', reject );
+        });
+
+        it( 'Should stream changes to the subscribed connection', async function() {
+
+            const { req, events } = await openStream();
+
+            expect( events[ 0 ].event ).to.equal( 'subscription' );
+
+            ct.addSubscription({ modelName: 'Item', subscriptionId: events[ 0 ].data.subscriptionId });
+            await Item.create({ value: 'new' });
+            await pause( 0.05 );
+
+            expect( events ).to.have.length( 2 );
+            expect( events[ 1 ].event ).to.equal( 'data-changed' );
+            expect( events[ 1 ].data.instance.value ).to.equal( 'new' );
+
+            req.destroy();
+        });
+
+        it( 'Should remove the subscriptions when the client disconnects', async function() {
+
+            const { req, events } = await openStream();
+            const { subscriptionId } = events[ 0 ].data;
+            ct.addSubscription({ modelName: 'Item', subscriptionId });
+
+            req.destroy();
+            await pause( 0.05 );
+
+            expect( transport.connections.size ).to.equal( 0 );
+            expect( ct.subscriptionsById[ subscriptionId ] ).to.have.length( 0 );
+        });
+
+        it( 'Should pass other requests on to the existing listeners', async function() {
+
+            const body = await new Promise( ( resolve, reject ) => {
+                http.get( { host: '127.0.0.1', port, path: '/other' }, res => {
+                    let data = '';
+                    res.on( 'data', chunk => data += chunk );
+                    res.on( 'end', () => resolve( data ));
+                }).on( 'error', reject );
+            });
+
+            expect( body ).to.equal( 'other' );
+        });
+    });
+});
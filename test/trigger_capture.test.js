@@ -0,0 +1,110 @@
+'use strict'
+
+import { expect } from 'chai';
+import { Sequelize, DataTypes } from 'sequelize';
+import SequelizeChangeTracker, { TriggerCapture } from '../index.js';
+
+const sequelize = new Sequelize('sqlite::memory:', { logging: false });
+
+const stdFields = {
+    id: { primaryKey: true, type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4 },
+    value: { type: DataTypes.STRING }
+};
+
+describe( 'Trigger capture', function() {
+
+    let Item = null;
+    let capture = null;
+    let ct = null;
+    let changeRegister = null;
+
+    beforeEach( async function() {
+
+        Item = sequelize.define( 'Item', stdFields );
+        await sequelize.sync({ force: true });
+
+        capture = new TriggerCapture({ sequelize, settle: 0 });
+
+        changeRegister = [];
+        ct = new SequelizeChangeTracker({ models: [ Item ], capture });
+        ct.on( 'data-changed', event => changeRegister.push( event ) );
+        ct.addSubscription({ modelName: 'Item', subscriptionId: 1 });
+
+        await capture.install();
+    });
+
+    afterEach( async function() {
+        ct.destroy();
+        await capture.uninstall();
+    });
+
+    it( 'Should report writes made outside Sequelize', async function() {
+
+        await sequelize.query( `INSERT INTO Items (id, value, createdAt, updatedAt) VALUES ('a', 'new', '2024-01-01', '2024-01-01')` );
+        await sequelize.query( `UPDATE Items SET value = 'changed' WHERE id = 'a'` );
+
+        expect( await capture.poll() ).to.equal( 2 );
+
+        await sequelize.query( `DELETE FROM Items WHERE id = 'a'` );
+
+        expect( await capture.poll() ).to.equal( 1 );
+
+        expect( changeRegister.map( e => e.operation )).to.deep.equal([ 'create', 'update', 'delete' ]);
+        expect( changeRegister[ 0 ].instance ).to.include({ id: 'a', value: 'changed' });
+        expect( changeRegister[ 2 ].instance ).to.deep.equal({ id: 'a' });
+        expect( await capture.model.count() ).to.equal( 0 );
+    });
+
+    it( 'Should not report writes of hooks twice', async function() {
+
+        const item = await Item.create({ value: 'new' });
+        await item.update({ value: 'changed' });
+        await Item.update({ value: 'bulk' }, { where: { id: item.id } });
+        await item.destroy();
+
+        expect( await capture.poll() ).to.equal( 0 );
+        expect( changeRegister.map( e => e.operation )).to.deep.equal([ 'create', 'update', 'update', 'delete' ]);
+        expect( await capture.model.count() ).to.equal( 0 );
+    });
+
+    it( 'Should report writes made after a rolled back write of hooks', async function() {
+
+        const transaction = await sequelize.transaction();
+        await Item.create({ id: 'a', value: 'new' }, { transaction });
+        await transaction.rollback();
+
+        await sequelize.query( `INSERT INTO Items (id, value, createdAt, updatedAt) VALUES ('a', 'new', '2024-01-01', '2024-01-01')` );
+
+        expect( await capture.poll() ).to.equal( 1 );
+        expect( changeRegister.map( e => e.operation )).to.deep.equal([ 'create' ]);
+    });
+
+    it( 'Should not report committed writes of hooks twice', async function() {
+
+        await sequelize.transaction( async transaction => {
+            await Item.create({ id: 'a', value: 'new' }, { transaction });
+        });
+
+        expect( await capture.poll() ).to.equal( 0 );
+        expect( changeRegister.map( e => e.operation )).to.deep.equal([ 'create' ]);
+    });
+
+    it( 'Should wait for rows to settle', async function() {
+
+        capture.settle = 60000;
+
+        await sequelize.query( `INSERT INTO Items (id, value, createdAt, updatedAt) VALUES ('a', 'new', '2024-01-01', '2024-01-01')` );
+
+        expect( await capture.poll() ).to.equal( 0 );
+        expect( await capture.model.count() ).to.equal( 1 );
+    });
+
+    it( 'Should stop capturing once uninstalled', async function() {
+
+        await capture.uninstall();
+
+        await sequelize.query( `INSERT INTO Items (id, value, createdAt, updatedAt) VALUES ('a', 'new', '2024-01-01', '2024-01-01')` );
+
+        expect( await capture.model.count() ).to.equal( 0 );
+    });
+});
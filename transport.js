@@ -0,0 +1,260 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * The id of a subscription
+ * @typedef {String} SubscriptionId
+ */
+
+/**
+ * Anything a message can be sent to, a WebSocket or an SSE response
+ * @typedef {Object} Connection
+ * @property {Function} send - called with the serialized message and its type
+ * @property {Function} close
+ */
+
+
+/**
+ * @class
+ * Delivers the 'data-changed', 'data-changed-batch' and 'live-query-changed' events of a
+ * SequelizeChangeTracker to client connections. Every connection gets its own
+ * subscription id, which is sent to the client as the first message so it can
+ * pass it along with its requests (as trackChanges.subscriptionId). A connection
+ * only receives the events that list its subscription id, and its subscriptions
+ * are removed when it closes.
+ *
+ * WebSockets are taken from a "ws" compatible server (anything emitting
+ * 'connection' with sockets that have send, close and a 'close' event),
+ * Server-Sent Events are served by sseHandler, which can be mounted in a
+ * framework or attached to an http.Server.
+ */
+
+export class ChangeTransport {
+
+    /**
+     * @constructor
+     * @param {Object} config
+     * @param {SequelizeChangeTracker} config.tracker
+     * @param {Function} [config.createSubscriptionId] - returns a new subscription id for a connection
+     * @param {Function} [config.createContext] - returns the subscription context (see the tracker's access option) for the request of a connection
+     */
+
+    constructor({ tracker, createSubscriptionId = randomUUID, createContext = () => undefined }) {
+
+        this.tracker = tracker;
+        this.createSubscriptionId = createSubscriptionId;
+        this.createContext = createContext;
+
+        this.tracker.on( 'data-changed', this.#dataChangedListener );
+        this.tracker.on( 'data-changed-batch', this.#dataChangedBatchListener );
+        this.tracker.on( 'live-query-changed', this.#liveQueryChangedListener );
+    }
+
+
+    /**
+     * Open connections by subscription id
+     * @type {Map<SubscriptionId,Connection>}
+     */
+
+    connections = new Map();
+
+
+    /**
+     * Functions that undo the attachments to servers
+     * @private
+     * @type {Array<Function>}
+     */
+
+    #detachers = [];
+
+
+    /**
+     * @private
+     * @param {Object} event - 'data-changed' event of the tracker
+     */
+
+    #dataChangedListener = ({ subscriptionIds, ...change }) => {
+
+        const message = JSON.stringify({ type: 'data-changed', ...change });
+
+        for ( let subscriptionId of subscriptionIds ) {
+            this.connections.get( subscriptionId )?.send( message, 'data-changed' );
+        }
+    };
+
+
+    /**
+     * @private
+     * @param {Object} event - 'data-changed-batch' event of the tracker
+     */
+
+    #dataChangedBatchListener = ({ subscriptions }) => {
+        for ( let { subscriptionId, changes } of subscriptions ) {
+            this.connections.get( subscriptionId )?.send( JSON.stringify({ type: 'data-changed-batch', changes }), 'data-changed-batch' );
+        }
+    };
+
+
+    /**
+     * @private
+     * @param {Object} event - 'live-query-changed' event of the tracker
+     */
+
+    #liveQueryChangedListener = ({ subscriptionIds, ...change }) => {
+
+        const message = JSON.stringify({ type: 'live-query-changed', ...change });
+
+        for ( let subscriptionId of subscriptionIds ) {
+            this.connections.get( subscriptionId )?.send( message, 'live-query-changed' );
+        }
+    };
+
+
+    /**
+     * Register a connection and send it its subscription id
+     * @method
+     * @param {Connection} connection
+     * @param {any} [context] - subscription context of the connection
+     * @returns {SubscriptionId}
+     */
+
+    addConnection( connection, context ) {
+
+        const subscriptionId = this.createSubscriptionId();
+
+        this.connections.set( subscriptionId, connection );
+
+        if ( context !== undefined ) {
+            this.tracker.setSubscriptionContext( subscriptionId, context );
+        }
+
+        connection.send( JSON.stringify({ type: 'subscription', subscriptionId }), 'subscription' );
+
+        return subscriptionId;
+    }
+
+
+    /**
+     * Forget a connection and remove all of its subscriptions
+     * @method
+     * @param {SubscriptionId} subscriptionId
+     */
+
+    removeConnection( subscriptionId ) {
+
+        if ( ! this.connections.delete( subscriptionId )) {
+            return;
+        }
+
+        if ( ! this.tracker.destroyed ) {
+            this.tracker.removeSubscriptionAllModels( subscriptionId, 'disconnected' );
+        }
+    }
+
+
+    /**
+     * Accept WebSocket connections of a "ws" compatible server
+     * @method
+     * @param {EventEmitter} webSocketServer
+     */
+
+    attachWebSocketServer( webSocketServer ) {
+
+        const connectionListener = ( socket, req ) => {
+
+            const subscriptionId = this.addConnection({
+                send: message => socket.send( message ),
+                close: () => socket.close(),
+            }, this.createContext( req ));
+
+            socket.on( 'close', () => this.removeConnection( subscriptionId ));
+        };
+
+        webSocketServer.on( 'connection', connectionListener );
+
+        this.#detachers.push( () => webSocketServer.off( 'connection', connectionListener ));
+    }
+
+
+    /**
+     * Request handler that streams changes as Server-Sent Events
+     * @method
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+
+    sseHandler = ( req, res ) => {
+
+        res.writeHead( 200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+
+        const subscriptionId = this.addConnection({
+            send: ( message, type ) => res.write( `event: ${type}\ndata: ${message}\n\n` ),
+            close: () => res.end(),
+        }, this.createContext( req ));
+
+        req.on( 'close', () => this.removeConnection( subscriptionId ));
+    };
+
+
+    /**
+     * Serve Server-Sent Events on a path of an http.Server, other requests
+     * are passed on to the request listeners the server already has
+     * @method
+     * @param {http.Server} server
+     * @param {Object} [options]
+     * @param {String} [options.path="/changes"]
+     */
+
+    attachHttpServer( server, { path = '/changes' } = {} ) {
+
+        const requestListeners = server.listeners( 'request' );
+
+        const requestListener = ( req, res ) => {
+            if ( new URL( req.url, 'http://localhost' ).pathname === path ) {
+                this.sseHandler( req, res );
+            }
+            else {
+                for ( let listener of requestListeners ) {
+                    listener.call( server, req, res );
+                }
+            }
+        };
+
+        server.removeAllListeners( 'request' );
+        server.on( 'request', requestListener );
+
+        this.#detachers.push( () => {
+            server.off( 'request', requestListener );
+            for ( let listener of requestListeners ) {
+                server.on( 'request', listener );
+            }
+        });
+    }
+
+
+    /**
+     * Detach from the tracker and the servers and close all connections
+     * @method
+     */
+
+    close() {
+
+        this.tracker.off( 'data-changed', this.#dataChangedListener );
+        this.tracker.off( 'data-changed-batch', this.#dataChangedBatchListener );
+        this.tracker.off( 'live-query-changed', this.#liveQueryChangedListener );
+
+        for ( let detach of this.#detachers ) {
+            detach();
+        }
+
+        this.#detachers = [];
+
+        for ( let [ subscriptionId, connection ] of [ ...this.connections ] ) {
+            this.removeConnection( subscriptionId );
+            connection.close();
+        }
+    }
+}
@@ -0,0 +1,440 @@
+import { DataTypes, Op } from 'sequelize';
+
+/**
+ * The name of a Sequelize model
+ * @typedef {String} ModelName
+ */
+
+/**
+ * A write as seen by the database
+ * @typedef {"insert"|"update"|"delete"} CapturedOperation
+ */
+
+
+/**
+ * @class
+ * Database-level change capture, for writes that don't go through the hooks of
+ * the tracker: migrations, scripts in other languages, manual fixes. Triggers on
+ * the tables of the tracked models write the primary key of every inserted,
+ * updated and deleted row to a capture table, which is polled (SQLite, MySQL,
+ * MariaDB) or read when Postgres notifies the listening connection. The rows are
+ * reported to the tracker with notifyRaw and removed from the table.
+ *
+ * Writes that went through the hooks of the tracker are reported by the hooks,
+ * their captured rows are skipped. To give the hooks time to do so, a captured row
+ * is only reported once it has been seen for the settle time. Captured rows are
+ * matched with the changes of the hooks by model, operation and primary key only,
+ * so a write made outside Sequelize to a row the hooks reported the same operation
+ * for within the dedupe window is skipped as well.
+ */
+
+export class TriggerCapture {
+
+    /**
+     * @constructor
+     * @param {Object} config
+     * @param {Sequelize} config.sequelize - connection of the database to install the triggers in
+     * @param {String} [config.modelName="ChangeCaptureEntry"] - name of the model (and table) of the captured rows
+     * @param {Number} [config.interval=1000] - milliseconds between two polls
+     * @param {Number} [config.settle=100] - milliseconds a captured row waits for hooks to report the same write
+     * @param {Number} [config.dedupeWindow=60000] - milliseconds a change reported by hooks can be matched with a captured row
+     * @param {Number} [config.pageSize=100] - number of captured rows read at once
+     * @throws {Error} if the dialect doesn't support trigger capture
+     */
+
+    constructor({ sequelize, modelName = 'ChangeCaptureEntry', interval = 1000, settle = 100, dedupeWindow = 60000, pageSize = 100 }) {
+
+        if ( ! [ 'sqlite', 'mysql', 'mariadb', 'postgres' ].includes( sequelize.getDialect() )) {
+            throw new Error( `Unsupported dialect for trigger capture: ${sequelize.getDialect()}` );
+        }
+
+        this.sequelize = sequelize;
+        this.interval = interval;
+        this.settle = settle;
+        this.dedupeWindow = dedupeWindow;
+        this.pageSize = pageSize;
+
+        this.model = sequelize.define( modelName, {
+            sequence: { primaryKey: true, autoIncrement: true, type: DataTypes.INTEGER },
+            modelName: { allowNull: false, type: DataTypes.STRING },
+            operation: { allowNull: false, type: DataTypes.STRING },
+            key: { allowNull: false, type: DataTypes.TEXT },
+        }, {
+            timestamps: false,
+        });
+    }
+
+
+    /**
+     * The model of the captured rows
+     * @type {Sequelize.Model}
+     */
+
+    model = null;
+
+
+    /**
+     * The tracker the captured changes are reported to, set by the tracker
+     * @type {SequelizeChangeTracker}
+     */
+
+    tracker = null;
+
+
+    /**
+     * When the captured rows that are not reported yet were first seen, by sequence number
+     * @private
+     * @type {Map<Number,Number>}
+     */
+
+    #firstSeen = new Map();
+
+
+    /**
+     * The poll that is running
+     * @private
+     * @type {Promise|null}
+     */
+
+    #polling = null;
+
+
+    /**
+     * @private
+     * @type {NodeJS.Timer}
+     */
+
+    #pollTimer = null;
+
+
+    /**
+     * Connection listening to notifications (Postgres)
+     * @private
+     * @type {Object|null}
+     */
+
+    #listener = null;
+
+
+    /**
+     * Called by the tracker this capture is passed to
+     * @method
+     * @param {SequelizeChangeTracker} tracker
+     */
+
+    attach( tracker ) {
+        this.tracker = tracker;
+    }
+
+
+    /**
+     * Name of the channel Postgres notifies of captured rows
+     * @type {String}
+     */
+
+    get channel() {
+        return `${this.model.tableName}_notify`.toLowerCase();
+    }
+
+
+    /**
+     * The tracked models of the database
+     * @private
+     * @method
+     * @returns {Array<Sequelize.Model>}
+     */
+
+    #models() {
+        return this.tracker.modelNames
+            .map( modelName => this.tracker.modelsByName[ modelName ] )
+            .filter( model => model.sequelize === this.sequelize );
+    }
+
+
+    /**
+     * Name of the trigger of an operation on the table of a model
+     * @private
+     * @static
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {CapturedOperation} operation
+     * @returns {String}
+     */
+
+    static #triggerName( model, operation ) {
+        return `${model.tableName}_${operation}_capture`.toLowerCase();
+    }
+
+
+    /**
+     * SQL statements that (re)create the trigger of an operation on the table of a model
+     * @private
+     * @method
+     * @param {Sequelize.Model} model
+     * @param {CapturedOperation} operation
+     * @returns {Array<String>}
+     */
+
+    #triggerStatements( model, operation ) {
+
+        const dialect = this.sequelize.getDialect();
+        const queryGenerator = this.sequelize.getQueryInterface().queryGenerator;
+        const quote = name => queryGenerator.quoteIdentifier( name );
+
+        const name = TriggerCapture.#triggerName( model, operation );
+        const row = operation === 'delete' ? 'OLD' : 'NEW';
+
+        // the key holds the primary key values by attribute, read from their columns
+
+        const keyFunction = { sqlite: 'json_object', postgres: 'json_build_object' }[ dialect ] || 'JSON_OBJECT';
+        const key = `${keyFunction}(${model.primaryKeyAttributes.map( attribute =>
+            `${this.sequelize.escape( attribute )}, ${row}.${quote( model.rawAttributes[ attribute ].field || attribute )}`
+        ).join( ', ' )})`;
+
+        const insert = `INSERT INTO ${queryGenerator.quoteTable( this.model.getTableName() )} (${quote( 'modelName' )}, ${quote( 'operation' )}, ${quote( 'key' )}) `
+            + `VALUES (${this.sequelize.escape( model.name )}, ${this.sequelize.escape( operation )}, ${key})`;
+
+        const table = queryGenerator.quoteTable( model.getTableName() );
+        const event = `AFTER ${operation.toUpperCase()} ON ${table}`;
+
+        if ( dialect === 'sqlite' ) {
+            return [
+                `DROP TRIGGER IF EXISTS ${quote( name )}`,
+                `CREATE TRIGGER ${quote( name )} ${event} FOR EACH ROW BEGIN ${insert}; END`,
+            ];
+        }
+
+        if ( dialect === 'postgres' ) {
+            return [
+                `CREATE OR REPLACE FUNCTION ${quote( name )}() RETURNS trigger AS $$ BEGIN ${insert}; `
+                    + `PERFORM pg_notify(${this.sequelize.escape( this.channel )}, ''); RETURN NULL; END; $$ LANGUAGE plpgsql`,
+                `DROP TRIGGER IF EXISTS ${quote( name )} ON ${table}`,
+                `CREATE TRIGGER ${quote( name )} ${event} FOR EACH ROW EXECUTE PROCEDURE ${quote( name )}()`,
+            ];
+        }
+
+        return [
+            `DROP TRIGGER IF EXISTS ${quote( name )}`,
+            `CREATE TRIGGER ${quote( name )} ${event} FOR EACH ROW ${insert}`,
+        ];
+    }
+
+
+    /**
+     * Create the capture table and the triggers on the tables of the tracked models,
+     * and start reading the captured rows. The tables of the models have to exist
+     * @method
+     * @returns {Promise}
+     */
+
+    async install() {
+
+        if ( ! this.tracker ) {
+            throw new Error( 'Trigger capture not attached to a tracker' );
+        }
+
+        await this.model.sync({ logging: false });
+
+        for ( let model of this.#models() ) {
+            for ( let operation of [ 'insert', 'update', 'delete' ] ) {
+                for ( let sql of this.#triggerStatements( model, operation )) {
+                    await this.sequelize.query( sql, { transaction: null, logging: false });
+                }
+            }
+        }
+
+        if ( this.sequelize.getDialect() === 'postgres' ) {
+            await this.#listen();
+        }
+
+        clearInterval( this.#pollTimer );
+
+        this.#pollTimer = setInterval( () => this.#pollInBackground(), this.interval );
+        this.#pollTimer.unref?.();
+    }
+
+
+    /**
+     * Remove the triggers and stop reading the captured rows. The capture table is kept
+     * @method
+     * @returns {Promise}
+     */
+
+    async uninstall() {
+
+        await this.close();
+
+        const queryGenerator = this.sequelize.getQueryInterface().queryGenerator;
+        const isPostgres = this.sequelize.getDialect() === 'postgres';
+
+        for ( let model of this.#models() ) {
+            for ( let operation of [ 'insert', 'update', 'delete' ] ) {
+
+                const name = queryGenerator.quoteIdentifier( TriggerCapture.#triggerName( model, operation ));
+
+                await this.sequelize.query(
+                    isPostgres ? `DROP TRIGGER IF EXISTS ${name} ON ${queryGenerator.quoteTable( model.getTableName() )}` : `DROP TRIGGER IF EXISTS ${name}`,
+                    { transaction: null, logging: false }
+                );
+            }
+        }
+    }
+
+
+    /**
+     * Listen to the notifications of the triggers on a connection of its own (Postgres)
+     * @private
+     * @method
+     * @returns {Promise}
+     */
+
+    async #listen() {
+
+        if ( this.#listener ) {
+            return;
+        }
+
+        this.#listener = await this.sequelize.connectionManager.getConnection();
+
+        // the settle time has to pass before the rows are reported
+
+        this.#listener.on( 'notification', () => {
+            this.#pollInBackground();
+            setTimeout( () => this.#pollInBackground(), this.settle ).unref?.();
+        });
+
+        await this.#listener.query( `LISTEN ${this.sequelize.getQueryInterface().queryGenerator.quoteIdentifier( this.channel )}` );
+    }
+
+
+    /**
+     * Poll without waiting for the result, errors are emitted by the tracker
+     * @private
+     * @method
+     */
+
+    #pollInBackground() {
+        this.poll().catch( error => this.tracker.emit( 'error', error ));
+    }
+
+
+    /**
+     * Report the captured rows that have settled and remove them from the capture table.
+     * Runs periodically once installed
+     * @method
+     * @returns {Promise<Number>} the number of reported rows
+     */
+
+    poll() {
+
+        // one poll at a time, a poll that is asked for while one is running joins it
+
+        if ( ! this.#polling ) {
+            this.#polling = this.#poll().finally( () => this.#polling = null );
+        }
+
+        return this.#polling;
+    }
+
+
+    /**
+     * @private
+     * @method
+     * @returns {Promise<Number>}
+     */
+
+    async #poll() {
+
+        if ( ! this.tracker || this.tracker.destroyed ) {
+            return 0;
+        }
+
+        const entries = await this.model.findAll({
+            order: [ [ 'sequence', 'ASC' ] ],
+            limit: this.pageSize,
+            transaction: null,
+            logging: false,
+        });
+
+        const now = Date.now();
+
+        for ( let entry of entries ) {
+            if ( ! this.#firstSeen.has( entry.sequence )) {
+                this.#firstSeen.set( entry.sequence, now );
+            }
+        }
+
+        // rows are reported in order, so stop at the first one that hasn't settled
+
+        const unsettled = entries.findIndex( entry => now - this.#firstSeen.get( entry.sequence ) < this.settle );
+        const settled = unsettled === -1 ? entries : entries.slice( 0, unsettled );
+
+        let reported = 0;
+
+        for ( let entry of settled ) {
+
+            const key = typeof entry.key === 'string' ? JSON.parse( entry.key ) : entry.key;
+
+            if ( ! this.tracker.modelsByName[ entry.modelName ] || this.tracker.claimHookChange({ modelName: entry.modelName, operation: entry.operation, instanceId: this.tracker.instanceIdOf( entry.modelName, key ) })) {
+                continue;
+            }
+
+            const isThroughModel = this.tracker.throughModelNames.includes( entry.modelName );
+
+            await this.tracker.notifyRaw({
+                modelName: entry.modelName,
+                operation: {
+                    insert: isThroughModel ? 'associate' : 'create',
+                    update: 'update',
+                    delete: isThroughModel ? 'dissociate' : 'delete',
+                }[ entry.operation ],
+                ids: [ key ],
+                captured: true,
+            });
+
+            reported++;
+        }
+
+        if ( settled.length > 0 ) {
+
+            await this.model.destroy({
+                where: { sequence: { [ Op.in ]: settled.map( entry => entry.sequence ) } },
+                transaction: null,
+                hooks: false,
+                logging: false,
+            });
+
+            for ( let entry of settled ) {
+                this.#firstSeen.delete( entry.sequence );
+            }
+        }
+
+        return reported;
+    }
+
+
+    /**
+     * Stop reading the captured rows, called when the tracker is destroyed.
+     * The triggers keep capturing, see uninstall
+     * @method
+     * @returns {Promise}
+     */
+
+    async close() {
+
+        clearInterval( this.#pollTimer );
+
+        this.#pollTimer = null;
+
+        if ( this.#listener ) {
+
+            const listener = this.#listener;
+
+            this.#listener = null;
+
+            await listener.query( `UNLISTEN ${this.sequelize.getQueryInterface().queryGenerator.quoteIdentifier( this.channel )}` );
+
+            this.sequelize.connectionManager.releaseConnection( listener );
+        }
+    }
+}